@@ -3,27 +3,100 @@
  * 将内容放入主题框架，支持 3D 翻转效果
  * 
  * option配置规范:
- * - themePath: 主题文件夹路径（必选）
+ * - themePath: 主题文件夹路径；指向主题系列文件（…/family.json）时按内容宽高比选择变体；以其他 .json 结尾时按单文件主题包加载
+ * - themeUrl: 单文件主题包地址（可选，优先于 themePath）
+ * - theme: 内联的主题配置对象或主题包对象（可选，优先于 themeUrl；框架图片相对 themePath 解析）
+ *   themePath / themeUrl / theme 至少提供一个
  * - contents: 内容数组，必须与 contentArea 匹配（必选）
- *   - 第0项: image 类型，对应 contentArea[0] (front)
- *   - 第1项: text 类型，对应 contentArea[1] (back)
+ *   - 内容类型: image（src, alt）/ video（src, poster, loop, muted）/ text（content）
+ *   - 指定 area 的内容挂载到同 id 的区域
+ *   - 未指定 area 的内容按顺序填入声明了相同 type 的空闲区域；主题未声明 type 时按下标对应
+ *     （经典双面主题：第0项 image 对应 front，第1项 text 对应 back）
+ * - data: 填充 SVG 框架中 {{key}} / {{key|默认值}} 占位符的数据（可选）
+ * - zoom: 图片区域支持滚轮 / 双指缩放、拖动平移和双击切换缩放（可选，默认 false）；maxZoom 为最大倍数（默认 4）
+ *   图片内容的 fullSrc 为放大时加载的原图地址（可选）
+ * - tiltSource: 倾斜的输入来源 pointer / orientation（陀螺仪）/ both（可选，默认 pointer）
+ * - flip: 翻转动画 { axis: y / x, direction: alternate / forward / backward, duration（毫秒）, easing }（可选，覆盖主题的 flip 配置）
+ * - idle: 无操作一段时间后进入待机展示：轻微摇摆并可定时翻转（可选，true 或 { delay, sway, amplitude, period, flipEvery, repeat }）
  */
 
+import { renderMarkdown } from './realpic_markdown.js';
+import { sanitizeHTML } from './realpic_sanitize.js';
+
 const PERSPECTIVE_MAX_ROTATION = 4; // PC端最大旋转角度（度）
 const PERSPECTIVE_MAX_ROTATION_MOBILE = 12; // 移动端最大旋转角度（度）
+const ORIENTATION_RANGE = 30; // 设备偏离中立姿态该角度（度）时达到最大倾斜
+const TILT_SOURCES = ['pointer', 'orientation', 'both'];
+const IDLE_DELAY = 10; // 默认无操作多少秒后进入待机
+const IDLE_AMPLITUDE = 0.6; // 待机摇摆的默认幅度（相对最大倾斜）
+const IDLE_PERIOD = 8; // 待机摇摆的默认周期（秒）
+const IDLE_RAMP = 1000; // 进入待机后摇摆幅度渐入的时长（毫秒）
+const IDLE_INPUT_EVENTS = ['pointermove', 'pointerdown', 'keydown', 'wheel', 'touchstart'];
 const DEFAULT_BACKGROUND = '#eeeeee';
 const DEFAULT_FONT_SCALE = 0.03; // 默认字体为 realpic 宽度的多少（推荐2.5%）
+// 翻转动画默认值：CSS 过渡（--realpic-flip-*）与 isAnimating 锁的时长都由 _getFlipConfig 决定
+const FLIP_DEFAULTS = { axis: 'y', direction: 'alternate', duration: 600, easing: 'cubic-bezier(0.4, 0, 0.2, 1)', turn: 'page' };
+const FLIP_AXES = ['x', 'y'];
+const FLIP_DIRECTIONS = ['alternate', 'forward', 'backward'];
+const FACE_TURNS = ['page', 'fold']; // 多面卡片的翻页方式：page 各页沿同一边翻过，fold 左右交替折叠
+const DRAG_FLIP_THRESHOLD = 10; // 水平移动超过该距离（像素）才进入拖拽翻转，否则视为点击
+const DRAG_FLIP_VELOCITY = 0.5; // 松手时速度超过该值（像素/毫秒）则顺势翻到下一面
+const DRAG_VELOCITY_WINDOW = 100; // 计算松手速度的采样时间窗（毫秒）
+const ZOOM_MAX = 4; // 默认最大缩放倍数
+const ZOOM_TOGGLE_SCALE = 2.5; // 双击 / 双击触摸放大到的倍数（不超过 maxZoom）
+const ZOOM_WHEEL_SPEED = 0.002; // 滚轮每单位 deltaY 对应的缩放指数
+const ZOOM_PAN_THRESHOLD = 3; // 平移超过该距离（像素）后松手的 click 视为拖动，不再触发点击
+const DOUBLE_TAP_INTERVAL = 300; // 两次轻触间隔小于该值（毫秒）视为双击
+const DOUBLE_TAP_DISTANCE = 30; // 两次轻触距离小于该值（像素）视为双击
 
-// 动态导入 marked 库（ESM 方式）
-let markedPromise = null;
-async function getMarked() {
-    if (!markedPromise) {
-        markedPromise = import('https://cdn.jsdelivr.net/npm/marked/lib/marked.esm.min.js')
-            .then(m => m.marked)
-            .catch(() => null);
-    }
-    return markedPromise;
-}
+// 主题配置中允许的键和取值（用于校验）
+const CONFIG_KEYS = ['extends', 'front', 'back', 'faces', 'contentArea', 'idle', 'flip'];
+const FLIP_KEYS = Object.keys(FLIP_DEFAULTS);
+const IDLE_KEYS = ['path', 'duration'];
+const SIDE_KEYS = ['image', 'background', 'width', 'height', 'lighting'];
+const FACE_KEYS = ['id', ...SIDE_KEYS];
+const LIGHTING_KEYS = ['finish', 'intensity', 'mask'];
+const AREA_KEYS = ['area', 'side', 'type', 'sizing', 'x', 'y', 'width', 'height', 'position', 'fit', 'textFit', 'minFontSize', 'maxFontSize', 'style'];
+const SIDE_NAMES = ['front', 'back'];
+const RESERVED_FACE_IDS = ['realpic']; // 与 getDimensions 结果中的 realpic 键冲突
+const CONTENT_TYPES = ['image', 'video', 'text'];
+
+// 表面光照：finish → 默认强度（0 ~ 1）
+const LIGHTING_FINISHES = { gloss: 0.5, matte: 0.2, holo: 0.6 };
+const LIGHTING_REST_STRENGTH = 0.3; // 卡片未倾斜时光照的相对强度，倾斜到最大时为 1
+
+// 内容区域默认布局：图片/视频区域铺满，文字区域内缩 10%
+const AREA_DEFAULTS = {
+    image: { x: 0, y: 0, width: 1, height: 1 },
+    video: { x: 0, y: 0, width: 1, height: 1 },
+    text: { x: 0.1, y: 0.1, width: 0.8, height: 0.8 }
+};
+const POSITION_VALUES = ['center', 'top', 'bottom', 'left', 'right'];
+const FIT_VALUES = ['contain', 'cover', 'stretch'];
+const TEXT_FIT_VALUES = ['clip', 'shrink', 'paginate', 'scroll'];
+const TEXT_FIT_MIN_SCALE = 0.5; // shrink 模式未设置 minFontSize 时，最小字号为基础字号的比例
+const TEXT_FIT_PRECISION = 0.5; // shrink 模式二分查找字号的精度（像素）
+const AREA_BOUNDS_TOLERANCE = 1; // 区域越界检查的容差（像素）
+const VARIANT_ORIENTATION_PENALTY = 1; // 变体与内容横竖方向不一致时的额外距离（对数宽高比）
+
+// 主题系列缓存：family.json 地址 → Promise<family | null>
+const familyCache = new Map();
+
+// 单文件主题包的格式标识和当前版本
+export const THEME_BUNDLE_FORMAT = 'realpic-theme';
+export const THEME_BUNDLE_VERSION = 1;
+
+// 主题包缓存：地址 → Promise<bundle>
+const bundleCache = new Map();
+
+// 已注册的主题包字体（避免重复注入 @font-face）
+const registeredBundleFonts = new Set();
+
+const RESOURCE_CACHE_CONFIGS = 32; // ResourceLoader 默认最多缓存的主题配置数
+const RESOURCE_CACHE_IMAGES = 64; // ResourceLoader 默认最多缓存的图片数（SVG 源码另计同样数量）
+
+// 自定义 Markdown 渲染器（为 null 时使用内置渲染器）
+let customMarkdownRenderer = null;
 
 /**
  * 处理链接，添加安全属性
@@ -31,48 +104,438 @@ async function getMarked() {
  * @returns {string} 处理后的 HTML
  */
 function processLinks(html) {
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = html;
-    tempDiv.querySelectorAll('a').forEach(link => {
+    // 使用 template 解析，避免游离节点加载图片或触发事件
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    template.content.querySelectorAll('a').forEach(link => {
         link.setAttribute('target', '_blank');
         link.setAttribute('rel', 'noopener noreferrer');
         link.classList.add('viewer-md-link');
     });
-    return tempDiv.innerHTML;
+    return template.innerHTML;
+}
+
+/**
+ * 替换 Markdown 渲染器
+ * 渲染器签名为 (md, options) => string | Promise<string>；传入 null 恢复内置渲染器
+ * @param {Function|null} renderer - 自定义渲染器
+ */
+export function setMarkdownRenderer(renderer) {
+    customMarkdownRenderer = typeof renderer === 'function' ? renderer : null;
 }
 
 /**
- * Markdown 解析器（基于 marked）
- * 支持标准 Markdown 语法
+ * Markdown 解析器
+ * 默认使用内置渲染器（realpic_markdown.js），支持标准语法及注音、软换行、emoji 短码扩展
+ * 输出（包括自定义渲染器的输出）统一经过白名单过滤（realpic_sanitize.js）
  * @param {string} md - Markdown 文本
+ * @param {Object} [options] - 渲染选项（MarkdownOptions），另支持：
+ *   - renderer: 自定义渲染器，优先于 setMarkdownRenderer
+ *   - sanitize: 过滤策略（SanitizePolicy），传 false 关闭过滤（仅用于可信内容）
  * @returns {Promise<string>} HTML
  */
-export async function parseLightMD(md) {
+export async function parseLightMD(md, options = {}) {
     if (!md || typeof md !== 'string') return '';
 
-    const marked = await getMarked();
-    if (marked) {
+    const { renderer = customMarkdownRenderer, sanitize = {}, ...renderOptions } = options || {};
+    let html = null;
+    if (renderer) {
+        try {
+            html = await renderer(md, renderOptions);
+        } catch (e) {
+            console.warn('Custom markdown renderer error, falling back to built-in renderer:', e);
+        }
+    }
+    if (typeof html !== 'string') {
+        html = renderMarkdown(md, renderOptions);
+    }
+
+    return processLinks(sanitize === false ? html : sanitizeHTML(html, sanitize));
+}
+
+/**
+ * 将 camelCase 样式名转为 kebab-case
+ * @param {string} key - 样式名
+ * @returns {string}
+ */
+function toKebabCase(key) {
+    return key.replace(/([A-Z])/g, '-$1').toLowerCase();
+}
+
+/**
+ * 转义 XML 特殊字符（用于拼接 SVG / XHTML 文本和属性）
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// 导出图像时文字区域使用的基础样式（与 realpic.css 中 .realpic-text-content 保持一致）
+const EXPORT_TEXT_CSS = `
+.realpic-text-content { word-wrap: break-word; overflow-wrap: break-word; line-height: 1.6; }
+.realpic-text-content code { background: rgba(0, 0, 0, 0.08); padding: 0.2em 0.4em; border-radius: 0.4em; font-size: 0.85em; }
+`;
+
+// 已内联的字体数据缓存 { url: Promise<dataURL|null> }
+const fontDataCache = new Map();
+
+/**
+ * Blob 转 data URL
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * 加载用于绘制到 canvas 的图片（跨域图片需服务端允许 CORS，否则 canvas 会被污染）
+ * @param {string} url - 图片地址
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadCanvasImage(url) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error(`Failed to load image for export: ${url}`));
+        img.src = url;
+    });
+}
+
+/**
+ * 收集页面中与 fontFamily 匹配的 @font-face 规则，并将字体文件内联为 data URL
+ * SVG 以图片形式绘制时无法访问外部字体，必须内联
+ * @param {string} fontFamily - CSS font-family 值
+ * @returns {Promise<string>} @font-face CSS 文本
+ */
+async function collectFontFaceCSS(fontFamily) {
+    if (!fontFamily) return '';
+
+    const normalize = name => name.trim().replace(/^['"]|['"]$/g, '').toLowerCase();
+    const families = fontFamily.split(',').map(normalize);
+    const tasks = [];
+
+    for (const sheet of document.styleSheets) {
+        let rules;
         try {
-            const html = marked.parse(md);
-            return processLinks(html);
+            rules = sheet.cssRules;
         } catch (e) {
-            console.warn('Marked parse error:', e);
+            continue; // 跨域样式表无法读取
+        }
+        for (const rule of rules) {
+            if (!(rule instanceof CSSFontFaceRule)) continue;
+            if (!families.includes(normalize(rule.style.getPropertyValue('font-family')))) continue;
+            tasks.push(inlineFontFaceRule(rule.cssText, sheet.href || document.baseURI));
+        }
+    }
+
+    return (await Promise.all(tasks)).join('\n');
+}
+
+/**
+ * 将 @font-face 规则中的 url() 替换为 data URL
+ * @param {string} cssText - @font-face 规则文本
+ * @param {string} baseHref - 解析相对路径的基准地址
+ * @returns {Promise<string>}
+ */
+async function inlineFontFaceRule(cssText, baseHref) {
+    const matches = [...cssText.matchAll(/url\((['"]?)([^'")]+)\1\)/g)];
+    for (const [match, , url] of matches) {
+        if (url.startsWith('data:')) continue;
+        const absUrl = new URL(url, baseHref).href;
+        if (!fontDataCache.has(absUrl)) {
+            fontDataCache.set(absUrl, fetch(absUrl)
+                .then(r => r.ok ? r.blob() : null)
+                .then(blob => blob ? blobToDataURL(blob) : null)
+                .catch(() => null));
+        }
+        const dataUrl = await fontDataCache.get(absUrl);
+        if (dataUrl) cssText = cssText.replace(match, `url('${dataUrl}')`);
+    }
+    return cssText;
+}
+
+/**
+ * 计算 object-fit 方式下图片的绘制区域
+ * @param {string} fit - contain / cover / stretch
+ * @param {number} srcW - 图片原始宽度
+ * @param {number} srcH - 图片原始高度
+ * @param {Object} rect - 目标区域 {x, y, width, height}
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function computeFitRect(fit, srcW, srcH, rect) {
+    if (fit === 'stretch' || !srcW || !srcH) return { ...rect };
+
+    const scale = fit === 'cover'
+        ? Math.max(rect.width / srcW, rect.height / srcH)
+        : Math.min(rect.width / srcW, rect.height / srcH);
+    const width = srcW * scale;
+    const height = srcH * scale;
+
+    return {
+        x: rect.x + (rect.width - width) / 2,
+        y: rect.y + (rect.height - height) / 2,
+        width,
+        height
+    };
+}
+
+/**
+ * 创建中止错误（被新的 setOptions 取代的加载以此拒绝）
+ * @param {string} [message]
+ * @returns {DOMException} name 为 'AbortError'
+ */
+function createAbortError(message = 'RealPic load was superseded by a newer setOptions call') {
+    return new DOMException(message, 'AbortError');
+}
+
+/**
+ * 判断错误是否为中止错误（被新的 setOptions 取代，或组件已销毁）
+ * @param {*} error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+/**
+ * 等待 Promise，signal 中止时立即以中止原因拒绝
+ * 原 Promise 仍会完成（共享缓存中的请求继续写入缓存，供后续使用）
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+function abortable(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(signal.reason);
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * 加载单张图片并获取其原始尺寸
+ * @param {string} url - 图片地址
+ * @param {AbortSignal} [signal] - 中止时放弃加载并返回 null
+ * @returns {Promise<Object|null>} { width, height, url, element }，加载失败时为 null
+ */
+function loadImageInfo(url, signal) {
+    return new Promise(resolve => {
+        const img = new Image();
+        const onAbort = () => {
+            img.onload = img.onerror = null;
+            img.removeAttribute('src');
+            resolve(null);
+        };
+        img.onload = () => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve({ width: img.naturalWidth, height: img.naturalHeight, url, element: img });
+        };
+        img.onerror = () => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve(null);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        img.src = url;
+    });
+}
+
+// SVG 框架占位符：{{key}} 或 {{key|默认值}}，key 支持 a.b 形式的嵌套字段
+const SVG_PLACEHOLDER_RE = /\{\{\s*([\w.-]+)\s*(?:\|([^}]*))?\}\}/g;
+
+/**
+ * 填充 SVG 文本中的占位符
+ * 数据值按 XML 转义后写入；数组以空格连接；缺失的字段使用默认值（默认值按原样保留，视为 SVG 源码）
+ * @param {string} svgText - SVG 源码
+ * @param {Object} [data] - 占位符数据
+ * @returns {string} 填充后的 SVG 源码
+ */
+export function fillSVGPlaceholders(svgText, data = {}) {
+    return svgText.replace(SVG_PLACEHOLDER_RE, (match, key, fallback = '') => {
+        const value = key.split('.').reduce((obj, name) => (obj == null ? undefined : obj[name]), data);
+        if (value === undefined || value === null || value === '') return fallback.trim();
+        return escapeXML(Array.isArray(value) ? value.join(' ') : value);
+    });
+}
+
+/**
+ * 判断地址是否为 SVG 图片
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isSVGURL(url) {
+    return /^data:image\/svg\+xml/i.test(url) || /\.svg(?:[?#]|$)/i.test(url);
+}
+
+/**
+ * 判断主题路径是否指向单文件主题包
+ * @param {string} path
+ * @returns {boolean}
+ */
+function isBundleURL(path) {
+    return typeof path === 'string' && /\.json(?:[?#]|$)/i.test(path) && !isFamilyURL(path);
+}
+
+/**
+ * 判断主题路径是否指向主题系列文件（family.json）
+ * 只有显式指向 family.json 的路径才按主题系列处理，普通主题不会额外请求 family.json
+ * @param {string} path
+ * @returns {boolean}
+ */
+function isFamilyURL(path) {
+    return typeof path === 'string' && /(?:^|\/)family\.json(?:[?#]|$)/i.test(path);
+}
+
+/**
+ * 获取地址所在的目录（保留末尾的 /）
+ * @param {string} url
+ * @returns {string}
+ */
+function dirnameOf(url) {
+    return url.replace(/[?#].*$/, '').replace(/[^/]*$/, '');
+}
+
+/**
+ * 加载视频元数据并获取其原始尺寸
+ * @param {string} url - 视频地址
+ * @param {AbortSignal} [signal] - 中止时停止加载并返回 null
+ * @returns {Promise<Object|null>} { width, height, url, element }，加载失败时为 null
+ */
+function loadVideoInfo(url, signal) {
+    return new Promise(resolve => {
+        const video = document.createElement('video');
+        const onAbort = () => {
+            video.onloadedmetadata = video.onerror = null;
+            video.removeAttribute('src');
+            video.load();
+            resolve(null);
+        };
+        video.preload = 'metadata';
+        video.muted = true;
+        video.onloadedmetadata = () => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve({ width: video.videoWidth, height: video.videoHeight, url, element: video });
+        };
+        video.onerror = () => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve(null);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        video.src = url;
+    });
+}
+
+/**
+ * 解析宽高比：数字（宽/高）或 "16:9"、"16/9" 字符串
+ * @param {number|string} value
+ * @returns {number} 宽高比，无法解析时为 NaN
+ */
+function parseAspect(value) {
+    if (typeof value === 'number') return value;
+    const match = /^\s*(\d+(?:\.\d+)?)\s*[:/]\s*(\d+(?:\.\d+)?)\s*$/.exec(String(value));
+    return match ? parseFloat(match[1]) / parseFloat(match[2]) : parseFloat(value);
+}
+
+/**
+ * 从主题系列中挑选最适合内容尺寸的变体
+ * 按对数宽高比的距离比较，横竖方向不一致的变体额外加罚，避免横图落到竖版变体上
+ * @param {{variants: Array<{theme: string, aspect: number|string}>, default?: string}} family - family.json 内容
+ * @param {number} [width] - 内容宽度
+ * @param {number} [height] - 内容高度
+ * @returns {Object|null} 选中的变体；尺寸未知时返回 default 指定的变体（未指定则为第一个）
+ */
+export function resolveThemeVariant(family, width, height) {
+    const variants = (family?.variants || []).filter(variant =>
+        isPlainObject(variant) && typeof variant.theme === 'string' && parseAspect(variant.aspect) > 0
+    );
+    if (variants.length === 0) return null;
+
+    if (!(width > 0 && height > 0)) {
+        return variants.find(variant => variant.theme === family.default) || variants[0];
+    }
+
+    const target = Math.log(width / height);
+    let best = null;
+    let bestScore = Infinity;
+    variants.forEach(variant => {
+        const aspect = Math.log(parseAspect(variant.aspect));
+        let score = Math.abs(aspect - target);
+        if (aspect * target < 0) score += VARIANT_ORIENTATION_PENALTY;
+        if (score < bestScore) {
+            best = variant;
+            bestScore = score;
         }
+    });
+    return best;
+}
+
+/**
+ * @typedef {Object} ThemeIssue
+ * @property {string} level - 严重程度：error / warning
+ * @property {string} code - 问题类型，如 unknown-key / invalid-fit / area-out-of-bounds
+ * @property {string} path - 问题所在的配置路径，如 contentArea[1].fit
+ * @property {string} message - 可读的问题描述
+ */
+
+/**
+ * 主题配置校验失败（strict 模式下抛出）
+ */
+export class ThemeValidationError extends Error {
+    /**
+     * @param {Array<ThemeIssue>} issues - 导致失败的问题列表
+     */
+    constructor(issues) {
+        const summary = issues.map(issue => `${issue.path || '(root)'}: ${issue.message}`).join('; ');
+        super(`Invalid theme config: ${summary}`);
+        this.name = 'ThemeValidationError';
+        this.issues = issues;
     }
+}
+
+/**
+ * 判断是否为普通对象
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
 
-    // Fallback: 基础格式支持
-    return md
-        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
-        .replace(/\*([^*]+)\*/g, '<em>$1</em>')
-        .replace(/~~([^~]+)~~/g, '<del>$1</del>')
-        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer" class="viewer-md-link">$1</a>')
-        .replace(/\n/g, '<br>');
+/**
+ * 深合并两个普通对象（数组和其他值整体替换，source 优先）
+ * @param {Object} target
+ * @param {Object} source
+ * @returns {Object} 新对象
+ */
+function deepMerge(target, source) {
+    const result = { ...target };
+    Object.entries(source).forEach(([key, value]) => {
+        result[key] = isPlainObject(value) && isPlainObject(result[key])
+            ? deepMerge(result[key], value)
+            : value;
+    });
+    return result;
 }
 
 /**
  * 配置解析器 - 负责解析和规范化 theme config
  */
-class ConfigParser {
+export class ConfigParser {
     /**
      * 解析完整的配置
      * @param {Object} rawConfig - 原始配置
@@ -80,11 +543,26 @@ class ConfigParser {
      * @returns {Object} 规范化后的配置
      */
     static parse(rawConfig, themeBase) {
+        const rawFaces = this._getRawFaces(rawConfig);
+        const faceConfigs = {};
+        rawFaces.forEach(face => {
+            faceConfigs[face.id] = this._parseSideConfig(face.config);
+        });
+        const faces = rawFaces.map(face => face.id);
+
         const config = {
-            front: this._parseSideConfig(rawConfig.front || {}),
-            back: this._parseSideConfig(rawConfig.back || {}),
-            contentArea: this._parseContentAreas(rawConfig.contentArea || [])
+            faces,
+            faceConfigs,
+            multiFace: Array.isArray(rawConfig.faces) && faces.length > 0,
+            contentArea: this._parseContentAreas(rawConfig.contentArea || [], faces),
+            idle: this._parseIdle(rawConfig.idle),
+            flip: this.parseFlip(rawConfig.flip)
         };
+        // 双面主题保留 front / back 字段（与 faceConfigs 中为同一对象）
+        if (!config.multiFace) {
+            config.front = faceConfigs.front;
+            config.back = faceConfigs.back;
+        }
 
         // 解析第二阶段：处理依赖关系
         this._resolveDependencies(config);
@@ -98,6 +576,35 @@ class ConfigParser {
         return config;
     }
 
+    /**
+     * 取出原始配置中的各面（按顺序）：声明了 faces 时为其中 id 合法且不重复的项，否则为 front / back
+     * @private
+     * @returns {Array<{id: string, config: Object}>}
+     */
+    static _getRawFaces(rawConfig) {
+        const seen = new Set();
+        const faces = (Array.isArray(rawConfig.faces) ? rawConfig.faces : []).filter(face => {
+            if (!isPlainObject(face) || typeof face.id !== 'string' || !face.id) return false;
+            if (seen.has(face.id) || RESERVED_FACE_IDS.includes(face.id)) return false;
+            seen.add(face.id);
+            return true;
+        });
+        if (faces.length > 0) {
+            return faces.map(({ id, ...config }) => ({ id, config }));
+        }
+        return SIDE_NAMES.map(side => ({ id: side, config: isPlainObject(rawConfig[side]) ? rawConfig[side] : {} }));
+    }
+
+    /**
+     * 获取面在原始配置中的路径（用于问题报告）：双面主题为 front / back，多面主题为 faces[下标]
+     * @param {Object} config - 解析后的配置
+     * @param {string} face - 面 id
+     * @returns {string}
+     */
+    static getFacePath(config, face) {
+        return config.multiFace ? `faces[${config.faces.indexOf(face)}]` : face;
+    }
+
     /**
      * 解析单面配置
      * @private
@@ -107,7 +614,8 @@ class ConfigParser {
             image: sideConfig.image || null,
             background: sideConfig.background || DEFAULT_BACKGROUND,
             width: sideConfig.width ?? null,
-            height: sideConfig.height ?? null
+            height: sideConfig.height ?? null,
+            lighting: this._parseLighting(sideConfig.lighting)
         };
 
         // 如果是空对象{}，保持background默认值
@@ -118,45 +626,113 @@ class ConfigParser {
         return result;
     }
 
+    /**
+     * 解析翻转动画配置，只保留合法的字段（主题配置与 flip 选项共用）
+     * @param {Object} [flip] - { axis, direction, duration, easing, turn }
+     * @returns {Object} 合法字段组成的对象，未设置的字段由默认值补全
+     */
+    static parseFlip(flip) {
+        const result = {};
+        if (!isPlainObject(flip)) return result;
+        if (FLIP_AXES.includes(flip.axis)) result.axis = flip.axis;
+        if (FACE_TURNS.includes(flip.turn)) result.turn = flip.turn;
+        if (FLIP_DIRECTIONS.includes(flip.direction)) result.direction = flip.direction;
+        if (Number.isFinite(flip.duration) && flip.duration >= 0) result.duration = flip.duration;
+        if (typeof flip.easing === 'string' && flip.easing.trim()) result.easing = flip.easing.trim();
+        return result;
+    }
+
+    /**
+     * 解析待机摇摆路径：path 为 [x, y] 倾斜偏移（-1 ~ 1）组成的闭合路径，duration 为走完一圈的秒数
+     * @private
+     * @returns {{path: Array<Array<number>>, duration: number}|null}
+     */
+    static _parseIdle(idle) {
+        const path = (Array.isArray(idle?.path) ? idle.path : []).filter(point =>
+            Array.isArray(point) && point.length === 2 && point.every(Number.isFinite)
+        );
+        if (path.length < 2) return null;
+
+        const clamp = value => Math.min(Math.max(value, -1), 1);
+        return {
+            path: path.map(([x, y]) => [clamp(x), clamp(y)]),
+            duration: Number.isFinite(idle.duration) && idle.duration > 0 ? idle.duration : IDLE_PERIOD
+        };
+    }
+
+    /**
+     * 解析表面光照（字符串为 finish 的简写）
+     * @private
+     * @returns {{finish: string, intensity: number, mask: string|null}|null}
+     */
+    static _parseLighting(lighting) {
+        const value = typeof lighting === 'string' ? { finish: lighting } : lighting;
+        if (!isPlainObject(value) || !Object.hasOwn(LIGHTING_FINISHES, value.finish)) return null;
+
+        const intensity = typeof value.intensity === 'number' && Number.isFinite(value.intensity)
+            ? Math.min(Math.max(value.intensity, 0), 1)
+            : LIGHTING_FINISHES[value.finish];
+        return {
+            finish: value.finish,
+            intensity,
+            mask: typeof value.mask === 'string' && value.mask ? value.mask : null
+        };
+    }
+
     /**
      * 解析内容区域配置
+     * 未声明 side 的区域：声明了 type 时图片/视频放在第一面、文字放在最后一面（双面主题即 front / back）；
+     * 都未声明时按下标依次放在各面，超出面数的放在最后一面（兼容经典双面主题的「第一个在 front，其余在 back」）
      * @private
      */
-    static _parseContentAreas(areas) {
+    static _parseContentAreas(areas, faces = SIDE_NAMES) {
         if (!Array.isArray(areas) || areas.length === 0) {
-            // 默认提供两个区域
-            return [
-                { area: 0, side: 'front' },
-                { area: 1, side: 'back' }
-            ];
-        }
-
-        return areas.map((area, index) => ({
-            area: area.area ?? index,
-            side: area.side || (index === 0 ? 'front' : 'back'),
-            x: area.x ?? (index === 0 ? 0 : 0.1),
-            y: area.y ?? (index === 0 ? 0 : 0.1),
-            width: area.width ?? (index === 0 ? 1 : 0.8),
-            height: area.height ?? (index === 0 ? 1 : 0.8),
-            position: area.position || 'center',
-            fit: area.fit || 'contain',
-            style: area.style || {}
-        }));
+            // 默认每面提供一个区域
+            return this._parseContentAreas(faces.map((side, index) => ({ area: index, side })), faces);
+        }
+
+        return areas.map((area, index) => {
+            const type = CONTENT_TYPES.includes(area.type) ? area.type : null;
+            const side = area.side || (type
+                ? (type === 'text' ? faces[faces.length - 1] : faces[0])
+                : faces[Math.min(index, faces.length - 1)]);
+            // 默认布局取决于区域自身（声明的 type，未声明时按所在面：第一面为图片，其余为文字），与数组下标无关
+            const defaults = AREA_DEFAULTS[type || (side === faces[0] ? 'image' : 'text')];
+
+            return {
+                area: area.area ?? index,
+                side,
+                type,
+                sizing: area.sizing === true,
+                x: area.x ?? defaults.x,
+                y: area.y ?? defaults.y,
+                width: area.width ?? defaults.width,
+                height: area.height ?? defaults.height,
+                position: area.position || 'center',
+                fit: area.fit || 'contain',
+                textFit: TEXT_FIT_VALUES.includes(area.textFit) ? area.textFit : 'clip',
+                minFontSize: area.minFontSize ?? null,
+                maxFontSize: area.maxFontSize ?? null,
+                style: area.style || {}
+            };
+        });
     }
 
     /**
      * 解析依赖关系
-     * - back的width/height默认使用front的值
+     * - 其余各面（双面主题即 back）的 width/height 默认使用第一面的值
      * @private
      */
     static _resolveDependencies(config) {
-        // back的宽高默认继承front
-        if (config.back.width === null) {
-            config.back.width = config.front.width;
-        }
-        if (config.back.height === null) {
-            config.back.height = config.front.height;
-        }
+        const [first, ...others] = config.faces.map(face => config.faceConfigs[face]);
+        others.forEach(sideConfig => {
+            if (sideConfig.width === null) {
+                sideConfig.width = first.width;
+            }
+            if (sideConfig.height === null) {
+                sideConfig.height = first.height;
+            }
+        });
     }
 
     /**
@@ -168,12 +744,14 @@ class ConfigParser {
 
         const base = themeBase.endsWith('/') ? themeBase : themeBase + '/';
 
-        if (config.front.image) {
-            config.front.image = this._resolvePath(config.front.image, base);
-        }
-        if (config.back.image) {
-            config.back.image = this._resolvePath(config.back.image, base);
-        }
+        config.faces.forEach(face => {
+            const sideConfig = config.faceConfigs[face];
+            if (sideConfig.image) {
+                sideConfig.image = this._resolvePath(sideConfig.image, base);
+            }
+            const lighting = sideConfig.lighting;
+            if (lighting?.mask) lighting.mask = this._resolvePath(lighting.mask, base);
+        });
     }
 
     /**
@@ -181,7 +759,8 @@ class ConfigParser {
      * @private
      */
     static _resolvePath(path, base) {
-        if (path.startsWith('http') || path.startsWith('/')) {
+        // 绝对路径和带协议的地址（http:、data:、blob: 等）原样返回
+        if (path.startsWith('/') || /^[a-z][a-z\d+.-]*:/i.test(path)) {
             return path;
         }
         if (path.startsWith('./')) {
@@ -191,388 +770,327 @@ class ConfigParser {
     }
 
     /**
-     * 验证配置有效性
-     * @private
+     * 获取主题配置并解析 extends 继承链
+     * @param {string} themeBase - 主题基础路径
+     * @returns {Promise<Object>} 合并后的原始配置（图片路径相对于 themeBase）
      */
-    static _validate(config) {
-        // 检查contentArea[0]必须是front
-        if (config.contentArea[0]?.side !== 'front') {
-            console.warn('Config warning: contentArea[0] should have side="front"');
-        }
-        // 检查contentArea[1]必须是back
-        if (config.contentArea[1]?.side !== 'back') {
-            console.warn('Config warning: contentArea[1] should have side="back"');
-        }
+    static async loadConfig(themeBase) {
+        return this.resolveExtends(await this.fetchConfig(themeBase), themeBase);
     }
 
     /**
-     * 获取解析后的尺寸（在加载图片后调用）
-     * @param {Object} config - 解析后的配置
-     * @param {Object} loadedImages - 已加载的图片信息
-     * @returns {Object} { front: {width, height}, back: {width, height}, realpic: {width, height} }
+     * 解析 extends：递归加载父主题并合并
+     * - front/back 及区域内的对象（如 style）深合并，子主题优先
+     * - faces 按面 id 合并，子主题新增的面追加在后
+     * - contentArea 按 area id 合并，子主题新增的区域追加在后
+     * - 父主题的图片路径相对于声明它的主题解析，改写为相对于当前主题的路径
+     * @param {Object} rawConfig - 原始配置
+     * @param {string} themeBase - 该配置所在的主题路径
+     * @param {Array<string>} [chain] - 已访问的主题（用于检测循环继承）
+     * @returns {Promise<Object>} 合并后的原始配置（不含 extends）
+     * @throws {ThemeValidationError} extends 取值非法或循环继承
      */
-    static getDimensions(config, loadedImages) {
-        // 确定 front 尺寸
-        let frontWidth = config.front.width;
-        let frontHeight = config.front.height;
-
-        // 如果front没有指定尺寸，使用front图片尺寸
-        if (frontWidth === null || frontHeight === null) {
-            const frontImg = loadedImages.frontFrame;
-            if (frontImg) {
-                frontWidth = frontWidth ?? frontImg.width;
-                frontHeight = frontHeight ?? frontImg.height;
-            }
+    static async resolveExtends(rawConfig, themeBase, chain = []) {
+        if (!isPlainObject(rawConfig) || rawConfig.extends === undefined) {
+            return rawConfig;
         }
 
-        // 如果还是没有，使用content图片尺寸
-        if (frontWidth === null || frontHeight === null) {
-            const contentImg = loadedImages.content_0;
-            if (contentImg) {
-                frontWidth = frontWidth ?? contentImg.width;
-                frontHeight = frontHeight ?? contentImg.height;
-            }
+        const { extends: parentPath, ...ownConfig } = rawConfig;
+        if (typeof parentPath !== 'string' || !parentPath) {
+            throw new ThemeValidationError([{
+                level: 'error', code: 'invalid-type', path: 'extends', message: '"extends" must be a theme path string'
+            }]);
         }
 
-        // 最终fallback：使用默认值
-        frontWidth = frontWidth ?? 800;
-        frontHeight = frontHeight ?? 600;
+        const base = !themeBase || themeBase.endsWith('/') ? themeBase : themeBase + '/';
+        const parentDir = parentPath.endsWith('/') ? parentPath : parentPath + '/';
+        const parentBase = this._resolvePath(parentDir, base);
 
-        // back尺寸继承front或用自己的配置
-        let backWidth = config.back.width ?? frontWidth;
-        let backHeight = config.back.height ?? frontHeight;
+        const visited = [...chain, this._normalizeThemeURL(base)];
+        const parentKey = this._normalizeThemeURL(parentBase);
+        if (visited.includes(parentKey)) {
+            throw new ThemeValidationError([{
+                level: 'error', code: 'extends-cycle', path: 'extends',
+                message: `Circular theme inheritance: ${[...visited, parentKey].join(' -> ')}`
+            }]);
+        }
 
-        return {
-            front: { width: frontWidth, height: frontHeight },
-            back: { width: backWidth, height: backHeight },
-            realpic: { width: frontWidth, height: frontHeight }
-        };
+        const parentConfig = await this.resolveExtends(await this.fetchConfig(parentBase), parentBase, visited);
+        return this._mergeConfig(this._rebaseImagePaths(parentConfig, parentDir), ownConfig);
     }
-}
 
-/**
- * RealPic 主类
- */
-export default class RealPic {
     /**
-     * @param {HTMLElement} container - 父容器
-     * @param {Object} options - 配置选项（可选，不传则延迟初始化）
+     * 将主题路径规范化为绝对 URL（用于比较）
+     * @private
      */
-    constructor(container, options = null) {
-        if (!container) {
-            throw new Error('Container element is required');
-        }
-
-        this.container = container;
-        this.options = null;
-        this.isFlipped = false;
-        this.isAnimating = false;
-        this.parsedConfig = null;
-        this.dimensions = null;
-        this.loadedImages = {};
-        this.contentAreas = new Map();
-        this.resizeObserver = null;
-        this.resizeTimeout = null;
-        this.rafId = null;
-        this.isInitialized = false;
-
-        this._createDOM();
-
-        if (options) {
-            this.setOptions(options);
+    static _normalizeThemeURL(base) {
+        try {
+            return new URL(base, document.baseURI).href;
+        } catch {
+            return base;
         }
     }
 
     /**
-     * 设置选项并初始化/更新
-     * @param {Object} options - 配置选项
+     * 将父主题的图片路径改写为相对于子主题的路径
+     * @private
      */
-    async setOptions(options) {
-        this.options = options;
-
-        if (!this.isInitialized) {
-            await this._init();
-            this.isInitialized = true;
-        } else {
-            await this._updateContent();
-        }
+    static _rebaseImagePaths(rawConfig, parentDir) {
+        return this._mapSideImages(rawConfig, path => this._resolvePath(path, parentDir));
     }
 
     /**
-     * 初始化组件
+     * 替换原始配置中各面（front / back 及 faces 的每一项）的框架图片和光照遮罩路径
      * @private
+     * @param {Object} rawConfig - 原始配置（不会被修改）
+     * @param {Function} transform - (path) => 新路径，返回 null 时保留原路径
+     * @returns {Object} 新的原始配置
      */
-    async _init() {
-        await this._loadAndRender();
+    static _mapSideImages(rawConfig, transform) {
+        const mapSide = sideConfig => {
+            if (!isPlainObject(sideConfig)) return sideConfig;
+            const result = { ...sideConfig };
+            if (typeof result.image === 'string') {
+                result.image = transform(result.image) ?? result.image;
+            }
+            const lighting = result.lighting;
+            if (isPlainObject(lighting) && typeof lighting.mask === 'string') {
+                result.lighting = { ...lighting, mask: transform(lighting.mask) ?? lighting.mask };
+            }
+            return result;
+        };
 
-        // 设置 ResizeObserver
-        if (window.ResizeObserver) {
-            this.resizeObserver = new ResizeObserver(() => {
-                clearTimeout(this.resizeTimeout);
-                this.resizeTimeout = setTimeout(() => {
-                    if (this.isInitialized) this._applyLayout();
-                }, 100);
-            });
-            this.resizeObserver.observe(this.container);
+        const result = { ...rawConfig };
+        SIDE_NAMES.forEach(side => {
+            if (result[side] !== undefined) result[side] = mapSide(result[side]);
+        });
+        if (Array.isArray(result.faces)) {
+            result.faces = result.faces.map(mapSide);
         }
-
-        this.show();
+        return result;
     }
 
     /**
-     * 更新内容（复用 DOM）
+     * 合并父子配置（子配置优先）
      * @private
      */
-    async _updateContent() {
-        this.reset();
-        this._clearFrames();
-        this.contentAreas.clear();
-        try {
-            await this._loadAndRender();
-            this.show();
-        } catch (error) {
-            console.error('更新内容失败:', error);
+    static _mergeConfig(parent, child) {
+        const merged = deepMerge(parent, child);
+
+        // faces 按面 id 合并，子主题新增的面追加在后
+        if (Array.isArray(parent.faces) && Array.isArray(child.faces)) {
+            const faces = [...parent.faces];
+            child.faces.forEach(face => {
+                const target = isPlainObject(face)
+                    ? faces.findIndex(item => isPlainObject(item) && item.id === face.id)
+                    : -1;
+                if (target >= 0) {
+                    faces[target] = deepMerge(faces[target], face);
+                } else {
+                    faces.push(face);
+                }
+            });
+            merged.faces = faces;
         }
-    }
 
-    /**
-     * 清空框架内容和样式
-     * @private
-     */
-    _clearFrames() {
-        [this.frontFrame, this.backFrame].forEach(frame => {
-            frame.innerHTML = '';
-            frame.style.cssText = '';
-            frame.className = 'realpic-frame';
+        if (!Array.isArray(parent.contentArea) || !Array.isArray(child.contentArea)) {
+            return merged;
+        }
+
+        // contentArea 按 area id 合并（未声明 id 时以下标为 id，与 _parseContentAreas 一致）
+        const areas = parent.contentArea.map((area, index) =>
+            isPlainObject(area) ? { ...area, area: area.area ?? index } : area
+        );
+        child.contentArea.forEach((area, index) => {
+            if (!isPlainObject(area)) {
+                areas.push(area);
+                return;
+            }
+            const id = area.area ?? index;
+            const target = areas.findIndex(item => isPlainObject(item) && item.area === id);
+            if (target >= 0) {
+                areas[target] = deepMerge(areas[target], area);
+            } else {
+                areas.push({ ...area, area: id });
+            }
         });
+        merged.contentArea = areas;
+        return merged;
     }
 
     /**
-     * 加载资源并渲染
-     * @private
+     * 获取主题系列配置（family.json），结果按地址缓存
+     * @param {string} familyPath - family.json 地址（传入文件夹路径时读取其中的 family.json）
+     * @returns {Promise<Object|null>} 系列配置；文件不存在或无效时为 null
      */
-    async _loadAndRender() {
-        // 1. 加载并解析主题配置
-        await this._loadConfig();
-
-        // 2. 加载所有图片资源
-        await this._loadImages();
-
-        // 3. 计算最终尺寸
-        this.dimensions = ConfigParser.getDimensions(this.parsedConfig, this.loadedImages);
-
-        // 4. 创建内容区域
-        this._createContentAreas();
-
-        // 5. 计算并应用布局
-        this._applyLayout();
-
-        // 6. 挂载内容
-        await this._mountContents();
+    static fetchFamily(familyPath) {
+        if (!isFamilyURL(familyPath)) {
+            familyPath = (familyPath.endsWith('/') ? familyPath : familyPath + '/') + 'family.json';
+        }
+        if (!familyCache.has(familyPath)) {
+            familyCache.set(familyPath, fetch(familyPath)
+                .then(response => response.ok ? response.json() : null)
+                .then(family => {
+                    if (family && !Array.isArray(family.variants)) {
+                        console.warn(`Invalid theme family (missing "variants"): ${familyPath}`);
+                        return null;
+                    }
+                    return family;
+                })
+                .catch(() => null));
+        }
+        return familyCache.get(familyPath);
     }
 
     /**
-     * 加载主题配置
-     * @private
+     * 获取主题配置原始 JSON
+     * @param {string} themeBase - 主题基础路径
+     * @returns {Promise<Object>} 原始配置
      */
-    async _loadConfig() {
-        const themeBase = this.options?.themePath;
-
-        if (!themeBase) {
-            throw new Error('themePath is required in options');
-        }
-
+    static async fetchConfig(themeBase) {
         const configPath = (themeBase.endsWith('/') ? themeBase : themeBase + '/') + 'config.json';
-
-        try {
-            const response = await fetch(configPath);
-            if (!response.ok) {
-                throw new Error(`Failed to load theme config: ${configPath}`);
-            }
-            const rawConfig = await response.json();
-            this.parsedConfig = ConfigParser.parse(rawConfig, themeBase);
-        } catch (error) {
-            console.error('Failed to load theme:', error);
-            // 使用最小默认配置
-            this.parsedConfig = ConfigParser.parse({}, themeBase);
+        const response = await fetch(configPath);
+        if (!response.ok) {
+            throw new Error(`Failed to load theme config: ${configPath}`);
         }
+        return response.json();
     }
 
     /**
-     * 加载图片资源
-     * @private
+     * 按主题来源加载原始配置（含 extends 继承）
+     * 优先级：theme（内联配置或主题包对象）> themeUrl（主题包地址）> themePath（以 .json 结尾时视为主题包地址）
+     * @param {{theme?: Object, themeUrl?: string, themePath?: string}} source - 主题来源
+     * @returns {Promise<{rawConfig: Object, themeBase: string}>} 原始配置及解析图片路径的基础路径
+     * @throws {ThemeValidationError} 主题包格式错误、extends 取值非法或循环继承
      */
-    async _loadImages() {
-        const loadSingle = (url, key) => new Promise(resolve => {
-            const img = new Image();
-            img.onload = () => {
-                this.loadedImages[key] = { width: img.naturalWidth, height: img.naturalHeight, url, element: img };
-                resolve(img);
-            };
-            img.onerror = () => {
-                console.warn(`Failed to load image: ${url}`);
-                resolve(null);
-            };
-            img.src = url;
-        });
-
-        const tasks = [];
-        this.loadedImages = {};
-
-        if (this.parsedConfig.front.image) tasks.push(loadSingle(this.parsedConfig.front.image, 'frontFrame'));
-        if (this.parsedConfig.back.image) tasks.push(loadSingle(this.parsedConfig.back.image, 'backFrame'));
+    static async loadSource({ theme, themeUrl, themePath = '' }) {
+        if (isPlainObject(theme)) {
+            const rawConfig = theme.format === THEME_BUNDLE_FORMAT
+                ? this.unpackBundleConfig(theme, themePath)
+                : theme;
+            return { rawConfig: await this.resolveExtends(rawConfig, themePath), themeBase: themePath };
+        }
 
-        const contents = this.options.contents || [];
-        contents.forEach((content, index) => {
-            if (content.type === 'image' && content.src) {
-                tasks.push(loadSingle(content.src, `content_${index}`));
-            }
-        });
+        const bundleURL = themeUrl || (isBundleURL(themePath) ? themePath : null);
+        if (bundleURL) {
+            const themeBase = dirnameOf(bundleURL);
+            const rawConfig = this.unpackBundleConfig(await this.fetchBundle(bundleURL), themeBase);
+            return { rawConfig: await this.resolveExtends(rawConfig, themeBase), themeBase };
+        }
 
-        await Promise.all(tasks);
+        return { rawConfig: await this.loadConfig(themePath), themeBase: themePath };
     }
 
     /**
-     * 创建内容区域
-     * @private
+     * 获取单文件主题包，结果按地址缓存（加载失败不缓存）
+     * @param {string} url - 主题包地址
+     * @returns {Promise<Object>} 主题包对象
+     * @throws {ThemeValidationError} 文件不是有效的主题包
      */
-    _createContentAreas() {
-        this.contentAreas.clear();
-        
-        // 清空现有框架内容，确保无残留
-        this.frontFrame.innerHTML = '';
-        this.backFrame.innerHTML = '';
-
-        this.parsedConfig.contentArea.forEach(areaConfig => {
-            const side = areaConfig.side;
-            const parentFrame = side === 'front' ? this.frontFrame : this.backFrame;
-
-            const areaEl = document.createElement('div');
-            areaEl.className = 'realpic-content-area';
-            areaEl.dataset.areaId = areaConfig.area;
-            areaEl.dataset.side = side;
-            areaEl.dataset.position = areaConfig.position;
-            areaEl.dataset.fit = areaConfig.fit;
-
-            parentFrame.appendChild(areaEl);
-
-            this.contentAreas.set(areaConfig.area, {
-                element: areaEl,
-                config: areaConfig,
-                side: side
+    static fetchBundle(url) {
+        if (!bundleCache.has(url)) {
+            const request = fetch(url).then(async response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load theme bundle: ${url}`);
+                }
+                const bundle = await response.json();
+                this.checkBundle(bundle);
+                return bundle;
             });
-        });
+            request.catch(() => bundleCache.delete(url));
+            bundleCache.set(url, request);
+        }
+        return bundleCache.get(url);
     }
 
     /**
-     * 应用布局
-     * @private
+     * 检查主题包结构
+     * @param {*} bundle - 主题包对象
+     * @throws {ThemeValidationError} 格式标识、版本或字段类型不正确
      */
-    _applyLayout() {
-        const containerRect = this.rootElement.getBoundingClientRect();
-        const containerW = containerRect.width;
-        const containerH = containerRect.height;
-
-        const realpicSize = this.dimensions.realpic;
-
-        // 等比例缩放以适应容器，充分利用容器空间
-        const scale = Math.min(
-            containerW / realpicSize.width,
-            containerH / realpicSize.height
-        );
-
-        const scaledW = realpicSize.width * scale;
-        const scaledH = realpicSize.height * scale;
-
-        // 应用 viewport 尺寸
-        this.perspectiveWrapper.style.width = `${scaledW}px`;
-        this.perspectiveWrapper.style.height = `${scaledH}px`;
-
-        // 应用 front 布局
-        this._applyFrameLayout('front', this.frontFrame, scaledW, scaledH);
-
-        // 应用 back 布局
-        this._applyFrameLayout('back', this.backFrame, scaledW, scaledH);
+    static checkBundle(bundle) {
+        const fail = (path, message) => {
+            throw new ThemeValidationError([{ level: 'error', code: 'invalid-bundle', path, message }]);
+        };
 
-        // 应用内容区域布局
-        this.contentAreas.forEach((areaInfo) => {
-            this._applyAreaLayout(areaInfo);
-        });
+        if (!isPlainObject(bundle) || bundle.format !== THEME_BUNDLE_FORMAT) {
+            fail('format', `Theme bundle must have "format": "${THEME_BUNDLE_FORMAT}"`);
+        }
+        if (typeof bundle.version !== 'number' || bundle.version > THEME_BUNDLE_VERSION) {
+            fail('version', `Unsupported theme bundle version: ${JSON.stringify(bundle.version)}`);
+        }
+        if (!isPlainObject(bundle.config)) {
+            fail('config', 'Theme bundle "config" must be an object');
+        }
+        if (bundle.assets !== undefined && !isPlainObject(bundle.assets)) {
+            fail('assets', 'Theme bundle "assets" must be an object');
+        }
+        if (bundle.fonts !== undefined && !Array.isArray(bundle.fonts)) {
+            fail('fonts', 'Theme bundle "fonts" must be an array');
+        }
     }
 
     /**
-     * 应用单面框架布局
-     * @private
+     * 取出主题包中的配置：注册字体，并将引用 assets 的框架图片和光照遮罩替换为内联数据
+     * @param {Object} bundle - 主题包对象
+     * @param {string} themeBase - 主题包所在目录（解析未内联的相对路径）
+     * @returns {Object} 原始配置
      */
-    _applyFrameLayout(side, frameEl, viewportW, viewportH) {
-        const config = this.parsedConfig[side];
-        const sideDimensions = this.dimensions[side];
-
-        // 计算该面在realpic尺寸内的缩放
-        const sideScale = Math.min(
-            viewportW / sideDimensions.width,
-            viewportH / sideDimensions.height
-        );
-
-        const frameW = sideDimensions.width * sideScale;
-        const frameH = sideDimensions.height * sideScale;
-        const offsetX = (viewportW - frameW) / 2;
-        const offsetY = (viewportH - frameH) / 2;
-
-        frameEl.style.width = `${frameW}px`;
-        frameEl.style.height = `${frameH}px`;
-        frameEl.style.left = `${offsetX}px`;
-        frameEl.style.top = `${offsetY}px`;
+    static unpackBundleConfig(bundle, themeBase) {
+        this.checkBundle(bundle);
+        this._registerBundleFonts(bundle, themeBase);
 
-        // 应用背景
-        if (config.image && this.loadedImages[`${side}Frame`]) {
-            frameEl.style.backgroundImage = `url('${config.image}')`;
-            frameEl.style.backgroundSize = `${frameW}px ${frameH}px`;
-            frameEl.style.backgroundColor = 'transparent';
-        } else {
-            frameEl.style.backgroundImage = 'none';
-            frameEl.style.backgroundColor = config.background;
-        }
+        return this._mapSideImages(bundle.config, path => this.getBundleAsset(bundle, path));
+    }
 
-        // 保存缩放信息供后续使用
-        this[`_${side}Scale`] = sideScale;
-        this[`_${side}FrameSize`] = { width: frameW, height: frameH };
+    /**
+     * 查找主题包中的资源（"frame.svg" 与 "./frame.svg" 视为同一资源）
+     * @param {Object} bundle - 主题包对象
+     * @param {string} path - 资源路径
+     * @returns {string|null} 资源的 data URI
+     */
+    static getBundleAsset(bundle, path) {
+        const value = bundle.assets?.[path.replace(/^\.\//, '')];
+        return typeof value === 'string' ? value : null;
     }
 
     /**
-     * 应用内容区域布局
+     * 以 @font-face 样式注册主题包中的字体（样式表中的字体在导出图像时同样可被内联）
      * @private
      */
-    _applyAreaLayout(areaInfo) {
-        const { element: areaEl, config, side } = areaInfo;
-        const sideScale = this[`_${side}Scale`] || 1;
-        const sideDimensions = this.dimensions[side];
-
-        // 解析尺寸值
-        const x = this._parseDimension(config.x, sideDimensions.width) * sideScale;
-        const y = this._parseDimension(config.y, sideDimensions.height) * sideScale;
-        const width = this._parseDimension(config.width, sideDimensions.width) * sideScale;
-        const height = this._parseDimension(config.height, sideDimensions.height) * sideScale;
-
-        areaEl.style.left = `${x}px`;
-        areaEl.style.top = `${y}px`;
-        areaEl.style.width = `${width}px`;
-        areaEl.style.height = `${height}px`;
+    static _registerBundleFonts(bundle, themeBase) {
+        const base = !themeBase || themeBase.endsWith('/') ? themeBase : themeBase + '/';
+        const rules = [];
 
-        // 应用样式（将 camelCase 转为 kebab-case）
-        if (config.style) {
-            for (const [key, value] of Object.entries(config.style)) {
-                const cssKey = key.replace(/([A-Z])/g, '-$1').toLowerCase();
-                areaEl.style[cssKey] = value;
+        (bundle.fonts || []).forEach(font => {
+            if (!isPlainObject(font) || typeof font.family !== 'string' || typeof font.src !== 'string') {
+                console.warn('Invalid theme bundle font:', font);
+                return;
             }
-        }
+            const src = this.getBundleAsset(bundle, font.src) || this._resolvePath(font.src, base);
+            const weight = /^[\w\s]+$/.test(font.weight ?? '') ? font.weight : 'normal';
+            const style = /^[\w\s]+$/.test(font.style ?? '') ? font.style : 'normal';
+            const key = `${font.family}|${weight}|${style}|${src}`;
+            if (registeredBundleFonts.has(key)) return;
+            registeredBundleFonts.add(key);
+            rules.push(`@font-face { font-family: ${JSON.stringify(font.family)}; src: url(${JSON.stringify(src)}); font-weight: ${weight}; font-style: ${style}; font-display: swap; }`);
+        });
+
+        if (rules.length === 0) return;
+        const styleEl = document.createElement('style');
+        styleEl.dataset.realpicThemeFonts = '';
+        styleEl.textContent = rules.join('\n');
+        document.head.appendChild(styleEl);
     }
 
     /**
      * 解析尺寸值
-     * @private
+     * 支持比例数字（<=1）、像素数字、百分比字符串、像素字符串
+     * @param {number|string} value - 尺寸值
+     * @param {number} baseSize - 基准尺寸
+     * @returns {number} 像素值，无法解析时为 NaN
      */
-    _parseDimension(value, baseSize) {
+    static parseDimension(value, baseSize) {
         if (typeof value === 'string') {
             value = value.trim();
             if (value.endsWith('%')) {
@@ -588,250 +1106,2837 @@ export default class RealPic {
     }
 
     /**
-     * 挂载内容
-     * @private
+     * 检查尺寸值格式是否可被 parseDimension 解析
+     * @param {*} value - 尺寸值
+     * @returns {boolean}
      */
-    async _mountContents() {
-        const contents = this.options.contents || [];
+    static isValidDimension(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) && value >= 0;
+        }
+        if (typeof value === 'string') {
+            return /^(\d+(\.\d*)?|\.\d+)(%|px)?$/.test(value.trim());
+        }
+        return false;
+    }
 
-        const tasks = contents.map(async (contentData, index) => {
-            const areaId = contentData.area !== undefined ? contentData.area : index;
-            const areaInfo = this.contentAreas.get(areaId);
+    /**
+     * 解析字号（数字或 "24px"，单位为设计尺寸像素）
+     * @param {number|string} value
+     * @returns {number|null}
+     */
+    static parseFontSize(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'string' && /^\s*\d+(\.\d+)?\s*(px)?\s*$/.test(value)) return parseFloat(value);
+        return null;
+    }
 
-            if (!areaInfo) {
-                console.warn(`Content area ${areaId} not found`);
+    /**
+     * 静态检查原始配置（未知键、非法取值、尺寸格式、重复区域 id）
+     * @param {Object} rawConfig - 原始配置
+     * @returns {Array<ThemeIssue>} 问题列表
+     */
+    static collectIssues(rawConfig) {
+        const issues = [];
+        const add = (level, code, path, message) => issues.push({ level, code, path, message });
+
+        if (!isPlainObject(rawConfig)) {
+            add('error', 'invalid-config', '', 'Theme config must be a JSON object');
+            return issues;
+        }
+
+        this._checkKeys(rawConfig, CONFIG_KEYS, '', add);
+
+        SIDE_NAMES.forEach(side => {
+            const sideConfig = rawConfig[side];
+            if (sideConfig === undefined) return;
+            if (!isPlainObject(sideConfig)) {
+                add('error', 'invalid-type', side, `"${side}" must be an object`);
                 return;
             }
+            if (rawConfig.faces !== undefined) {
+                add('warning', 'ignored-side', side, `"${side}" is ignored because the theme declares "faces"`);
+            }
+            this._checkKeys(sideConfig, SIDE_KEYS, side, add);
+            this._checkSide(sideConfig, side, add);
+        });
 
-            const { element: areaEl, config: areaConfig } = areaInfo;
+        if (rawConfig.faces !== undefined) {
+            this._checkFaces(rawConfig.faces, add);
+        }
+        const faceIds = this._getRawFaces(rawConfig).map(face => face.id);
 
-            // 根据类型挂载内容
-            if (contentData.type === 'image') {
-                this._mountImageContent(areaEl, contentData);
-            } else if (contentData.type === 'text') {
-                await this._mountTextContent(areaEl, contentData, areaConfig);
+        if (rawConfig.idle !== undefined) {
+            this._checkIdle(rawConfig.idle, add);
+        }
+        if (rawConfig.flip !== undefined) {
+            this._checkFlip(rawConfig.flip, add);
+        }
+
+        const areas = rawConfig.contentArea;
+        if (areas !== undefined && !Array.isArray(areas)) {
+            add('error', 'invalid-type', 'contentArea', '"contentArea" must be an array');
+            return issues;
+        }
+
+        const seenIds = new Set();
+        let sizingCount = 0;
+        (areas || []).forEach((area, index) => {
+            const path = `contentArea[${index}]`;
+            if (!isPlainObject(area)) {
+                add('error', 'invalid-type', path, 'Content area must be an object');
+                return;
+            }
+            this._checkKeys(area, AREA_KEYS, path, add);
+
+            const id = area.area ?? index;
+            if (seenIds.has(id)) {
+                add('error', 'duplicate-area', `${path}.area`, `Duplicate area id: ${JSON.stringify(id)}`);
+            }
+            seenIds.add(id);
+
+            if (area.type !== undefined && !CONTENT_TYPES.includes(area.type)) {
+                add('error', 'invalid-area-type', `${path}.type`, `Unknown content type ${JSON.stringify(area.type)}, expected one of ${CONTENT_TYPES.join(', ')}`);
+            }
+            if (area.sizing !== undefined && typeof area.sizing !== 'boolean') {
+                add('error', 'invalid-type', `${path}.sizing`, '"sizing" must be a boolean');
+            }
+            if (area.side !== undefined && !faceIds.includes(area.side)) {
+                add('error', 'invalid-side', `${path}.side`, `Unknown side ${JSON.stringify(area.side)}, expected one of ${faceIds.join(', ')}`);
+            }
+            if (area.position !== undefined && !POSITION_VALUES.includes(area.position)) {
+                add('error', 'invalid-position', `${path}.position`, `Unknown position ${JSON.stringify(area.position)}, expected one of ${POSITION_VALUES.join(', ')}`);
+            }
+            if (area.fit !== undefined && !FIT_VALUES.includes(area.fit)) {
+                add('error', 'invalid-fit', `${path}.fit`, `Unknown fit ${JSON.stringify(area.fit)}, expected one of ${FIT_VALUES.join(', ')}`);
+            }
+            if (area.textFit !== undefined && !TEXT_FIT_VALUES.includes(area.textFit)) {
+                add('error', 'invalid-text-fit', `${path}.textFit`, `Unknown textFit ${JSON.stringify(area.textFit)}, expected one of ${TEXT_FIT_VALUES.join(', ')}`);
+            }
+            ['minFontSize', 'maxFontSize'].forEach(key => {
+                if (area[key] !== undefined && !(this.parseFontSize(area[key]) > 0)) {
+                    add('error', 'invalid-font-size', `${path}.${key}`, `Cannot parse font size ${JSON.stringify(area[key])}`);
+                }
+            });
+            ['x', 'y', 'width', 'height'].forEach(key => {
+                if (area[key] !== undefined && !this.isValidDimension(area[key])) {
+                    add('error', 'invalid-dimension', `${path}.${key}`, `Cannot parse dimension ${JSON.stringify(area[key])}`);
+                }
+            });
+            if (area.style !== undefined && !isPlainObject(area.style)) {
+                add('error', 'invalid-type', `${path}.style`, '"style" must be an object');
+            }
+            if (area.sizing === true && ++sizingCount > 1) {
+                add('error', 'duplicate-sizing', `${path}.sizing`, 'Only one content area can have sizing=true');
             }
         });
 
-        await Promise.all(tasks);
+        return issues;
     }
 
     /**
-     * 挂载图片内容
+     * 检查单面配置的取值（front / back 及 faces 的每一项共用）
      * @private
      */
-    _mountImageContent(areaEl, contentData) {
-        areaEl.innerHTML = ''; // 清空之前的内容，防止重影
-        const img = document.createElement('img');
-        img.src = contentData.src || '';
-        img.alt = contentData.alt || '';
-        areaEl.appendChild(img);
+    static _checkSide(sideConfig, path, add) {
+        if (sideConfig.image !== undefined && typeof sideConfig.image !== 'string') {
+            add('error', 'invalid-type', `${path}.image`, 'Frame image must be a path string');
+        }
+        ['width', 'height'].forEach(key => {
+            const value = sideConfig[key];
+            if (value !== undefined && !(typeof value === 'number' && Number.isFinite(value) && value > 0)) {
+                add('error', 'invalid-dimension', `${path}.${key}`, `Side ${key} must be a positive number of pixels, got ${JSON.stringify(value)}`);
+            }
+        });
+        if (sideConfig.lighting !== undefined) {
+            this._checkLighting(sideConfig.lighting, `${path}.lighting`, add);
+        }
+    }
+
+    /**
+     * 检查多面卡片的面列表
+     * @private
+     */
+    static _checkFaces(faces, add) {
+        if (!Array.isArray(faces)) {
+            add('error', 'invalid-type', 'faces', '"faces" must be an array');
+            return;
+        }
+        if (faces.length === 0) {
+            add('error', 'invalid-faces', 'faces', '"faces" must contain at least one face');
+        }
+
+        const seenIds = new Set();
+        faces.forEach((face, index) => {
+            const path = `faces[${index}]`;
+            if (!isPlainObject(face)) {
+                add('error', 'invalid-type', path, 'Face must be an object');
+                return;
+            }
+            this._checkKeys(face, FACE_KEYS, path, add);
+            if (typeof face.id !== 'string' || !face.id) {
+                add('error', 'invalid-faces', `${path}.id`, 'Face id must be a non-empty string');
+            } else if (RESERVED_FACE_IDS.includes(face.id)) {
+                add('error', 'invalid-faces', `${path}.id`, `Face id ${JSON.stringify(face.id)} is reserved`);
+            } else if (seenIds.has(face.id)) {
+                add('error', 'duplicate-face', `${path}.id`, `Duplicate face id: ${JSON.stringify(face.id)}`);
+            }
+            seenIds.add(face.id);
+            this._checkSide(face, path, add);
+        });
+    }
+
+    /**
+     * 检查翻转动画配置
+     * @private
+     */
+    static _checkFlip(flip, add) {
+        if (!isPlainObject(flip)) {
+            add('error', 'invalid-type', 'flip', '"flip" must be an object');
+            return;
+        }
+        this._checkKeys(flip, FLIP_KEYS, 'flip', add);
+        if (flip.axis !== undefined && !FLIP_AXES.includes(flip.axis)) {
+            add('error', 'invalid-flip', 'flip.axis', `Unknown flip axis ${JSON.stringify(flip.axis)}, expected one of ${FLIP_AXES.join(', ')}`);
+        }
+        if (flip.direction !== undefined && !FLIP_DIRECTIONS.includes(flip.direction)) {
+            add('error', 'invalid-flip', 'flip.direction', `Unknown flip direction ${JSON.stringify(flip.direction)}, expected one of ${FLIP_DIRECTIONS.join(', ')}`);
+        }
+        if (flip.duration !== undefined && !(typeof flip.duration === 'number' && flip.duration >= 0)) {
+            add('error', 'invalid-flip', 'flip.duration', `Flip duration must be a non-negative number of milliseconds, got ${JSON.stringify(flip.duration)}`);
+        }
+        if (flip.easing !== undefined && typeof flip.easing !== 'string') {
+            add('error', 'invalid-type', 'flip.easing', 'Flip easing must be a CSS timing function string');
+        }
+        if (flip.turn !== undefined && !FACE_TURNS.includes(flip.turn)) {
+            add('error', 'invalid-flip', 'flip.turn', `Unknown page turn ${JSON.stringify(flip.turn)}, expected one of ${FACE_TURNS.join(', ')}`);
+        }
+    }
+
+    /**
+     * 检查待机摇摆路径配置
+     * @private
+     */
+    static _checkIdle(idle, add) {
+        if (!isPlainObject(idle)) {
+            add('error', 'invalid-type', 'idle', '"idle" must be an object');
+            return;
+        }
+        this._checkKeys(idle, IDLE_KEYS, 'idle', add);
+        const validPoint = point => Array.isArray(point) && point.length === 2 &&
+            point.every(value => typeof value === 'number' && value >= -1 && value <= 1);
+        if (!Array.isArray(idle.path) || idle.path.length < 2 || !idle.path.every(validPoint)) {
+            add('error', 'invalid-idle', 'idle.path', 'Idle path must be an array of at least 2 [x, y] points between -1 and 1');
+        }
+        if (idle.duration !== undefined && !(typeof idle.duration === 'number' && idle.duration > 0)) {
+            add('error', 'invalid-idle', 'idle.duration', `Idle duration must be a positive number of seconds, got ${JSON.stringify(idle.duration)}`);
+        }
+    }
+
+    /**
+     * 检查表面光照配置
+     * @private
+     */
+    static _checkLighting(lighting, path, add) {
+        const finishes = Object.keys(LIGHTING_FINISHES);
+        if (typeof lighting === 'string') {
+            if (!finishes.includes(lighting)) {
+                add('error', 'invalid-lighting', path, `Unknown lighting finish ${JSON.stringify(lighting)}, expected one of ${finishes.join(', ')}`);
+            }
+            return;
+        }
+        if (!isPlainObject(lighting)) {
+            add('error', 'invalid-type', path, '"lighting" must be a finish name or an object');
+            return;
+        }
+        this._checkKeys(lighting, LIGHTING_KEYS, path, add);
+        if (!finishes.includes(lighting.finish)) {
+            add('error', 'invalid-lighting', `${path}.finish`, `Unknown lighting finish ${JSON.stringify(lighting.finish)}, expected one of ${finishes.join(', ')}`);
+        }
+        const intensity = lighting.intensity;
+        if (intensity !== undefined && !(typeof intensity === 'number' && intensity >= 0 && intensity <= 1)) {
+            add('error', 'invalid-lighting', `${path}.intensity`, `Lighting intensity must be a number between 0 and 1, got ${JSON.stringify(intensity)}`);
+        }
+        if (lighting.mask !== undefined && typeof lighting.mask !== 'string') {
+            add('error', 'invalid-type', `${path}.mask`, 'Lighting mask must be a path string');
+        }
+    }
+
+    /**
+     * 检查未知键
+     * @private
+     */
+    static _checkKeys(obj, allowedKeys, path, add) {
+        Object.keys(obj).forEach(key => {
+            if (!allowedKeys.includes(key)) {
+                const keyPath = path ? `${path}.${key}` : key;
+                add('warning', 'unknown-key', keyPath, `Unknown key "${key}"`);
+            }
+        });
+    }
+
+    /**
+     * 检查需要加载资源后才能判断的问题（框架图片缺失、内容区域超出框架）
+     * @param {Object} config - 解析后的配置
+     * @param {Object} loadedImages - 已加载的图片信息
+     * @returns {Array<ThemeIssue>} 问题列表
+     */
+    static collectLayoutIssues(config, loadedImages) {
+        const issues = [];
+
+        config.faces.forEach(face => {
+            const image = config.faceConfigs[face].image;
+            if (image && !loadedImages[`${face}Frame`]) {
+                issues.push({
+                    level: 'error',
+                    code: 'missing-frame-image',
+                    path: `${this.getFacePath(config, face)}.image`,
+                    message: `Frame image could not be loaded: ${image}`
+                });
+            }
+        });
+
+        // 仅在设计尺寸可由主题本身确定时检查越界（否则尺寸取决于内容图片）
+        const sizes = {};
+        const [firstFace, ...otherFaces] = config.faces;
+        const firstWidth = config.faceConfigs[firstFace].width ?? loadedImages[`${firstFace}Frame`]?.width;
+        const firstHeight = config.faceConfigs[firstFace].height ?? loadedImages[`${firstFace}Frame`]?.height;
+        if (firstWidth && firstHeight) {
+            sizes[firstFace] = { width: firstWidth, height: firstHeight };
+        }
+        otherFaces.forEach(face => {
+            const width = config.faceConfigs[face].width ?? sizes[firstFace]?.width;
+            const height = config.faceConfigs[face].height ?? sizes[firstFace]?.height;
+            if (width && height) {
+                sizes[face] = { width, height };
+            }
+        });
+
+        config.contentArea.forEach((area, index) => {
+            const size = sizes[area.side];
+            if (!size) return;
+            if (!['x', 'y', 'width', 'height'].every(key => this.isValidDimension(area[key]))) return;
+
+            const x = this.parseDimension(area.x, size.width);
+            const y = this.parseDimension(area.y, size.height);
+            const width = this.parseDimension(area.width, size.width);
+            const height = this.parseDimension(area.height, size.height);
+
+            if (x < -AREA_BOUNDS_TOLERANCE || y < -AREA_BOUNDS_TOLERANCE ||
+                x + width > size.width + AREA_BOUNDS_TOLERANCE ||
+                y + height > size.height + AREA_BOUNDS_TOLERANCE) {
+                issues.push({
+                    level: 'error',
+                    code: 'area-out-of-bounds',
+                    path: `contentArea[${index}]`,
+                    message: `Area ${JSON.stringify(area.area)} (${x}, ${y}, ${width}x${height}) exceeds the ${area.side} frame (${size.width}x${size.height})`
+                });
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * 验证配置有效性
+     * @private
+     */
+    static _validate(config) {
+        // 只有一个区域能决定卡片尺寸
+        const sizingAreas = config.contentArea.filter(area => area.sizing);
+        if (sizingAreas.length > 1) {
+            console.warn(`Config warning: multiple areas have sizing=true, only area ${sizingAreas[0].area} is used`);
+        }
+    }
+
+    /**
+     * 获取决定卡片尺寸的内容图片
+     * 优先使用 sizing=true 的区域，否则使用第一面（双面主题即 front）第一个已加载图片的区域
+     * @param {Object} config - 解析后的配置
+     * @param {Object} loadedImages - 已加载的图片信息（内容图片键为 content_<区域id>）
+     * @returns {Object|null} { area, image }
+     */
+    static getSizingContent(config, loadedImages) {
+        const sizingArea = config.contentArea.find(area => area.sizing);
+        const area = sizingArea && loadedImages[`content_${sizingArea.area}`]
+            ? sizingArea
+            : config.contentArea.find(a => a.side === config.faces[0] && loadedImages[`content_${a.area}`]);
+        return area ? { area, image: loadedImages[`content_${area.area}`] } : null;
+    }
+
+    /**
+     * 获取尺寸值相对所在面的比例（像素值返回 null）
+     * @private
+     */
+    static _getDimensionRatio(value) {
+        if (typeof value === 'string') {
+            value = value.trim();
+            if (value.endsWith('%')) return parseFloat(value) / 100;
+            if (value.endsWith('px')) return null;
+            value = parseFloat(value);
+        }
+        return value > 0 && value <= 1 ? value : null;
+    }
+
+    /**
+     * 获取解析后的尺寸（在加载图片后调用）
+     * @param {Object} config - 解析后的配置
+     * @param {Object} loadedImages - 已加载的图片信息
+     * @returns {Object} 各面 id → {width, height}，另有 realpic: {width, height}
+     *   双面主题即 { front: {width, height}, back: {width, height}, realpic: {width, height} }
+     */
+    static getDimensions(config, loadedImages) {
+        // 确定第一面（front）尺寸
+        const [firstFace, ...otherFaces] = config.faces;
+        let frontWidth = config.faceConfigs[firstFace].width;
+        let frontHeight = config.faceConfigs[firstFace].height;
+
+        // 如果front没有指定尺寸，使用front图片尺寸
+        if (frontWidth === null || frontHeight === null) {
+            const frontImg = loadedImages[`${firstFace}Frame`];
+            if (frontImg) {
+                frontWidth = frontWidth ?? frontImg.width;
+                frontHeight = frontHeight ?? frontImg.height;
+            }
+        }
+
+        // 如果还是没有，使用内容图片尺寸（区域按比例定义时，反推整张卡片的尺寸）
+        if (frontWidth === null || frontHeight === null) {
+            const sizing = this.getSizingContent(config, loadedImages);
+            if (sizing) {
+                const widthRatio = this._getDimensionRatio(sizing.area.width) ?? 1;
+                const heightRatio = this._getDimensionRatio(sizing.area.height) ?? 1;
+                frontWidth = frontWidth ?? sizing.image.width / widthRatio;
+                frontHeight = frontHeight ?? sizing.image.height / heightRatio;
+            }
+        }
+
+        // 最终fallback：使用默认值
+        frontWidth = frontWidth ?? 800;
+        frontHeight = frontHeight ?? 600;
+
+        // 其余各面（back）尺寸继承front或用自己的配置
+        const dimensions = { [firstFace]: { width: frontWidth, height: frontHeight } };
+        otherFaces.forEach(face => {
+            dimensions[face] = {
+                width: config.faceConfigs[face].width ?? frontWidth,
+                height: config.faceConfigs[face].height ?? frontHeight
+            };
+        });
+        dimensions.realpic = { width: frontWidth, height: frontHeight };
+        return dimensions;
+    }
+}
+
+/**
+ * 资源加载器 - 缓存主题配置、框架 SVG 源码和已解码的图片
+ * 各类缓存按最近使用淘汰（LRU）；加载失败的结果不缓存，下次重新请求
+ * RealPic 实例和 RealPicViewer 共用导出的 resourceLoader
+ */
+export class ResourceLoader {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxConfigs] - 最多缓存的主题配置数 (默认: 32)
+     * @param {number} [options.maxImages] - 最多缓存的图片数 (默认: 64)
+     */
+    constructor({ maxConfigs = RESOURCE_CACHE_CONFIGS, maxImages = RESOURCE_CACHE_IMAGES } = {}) {
+        this.maxConfigs = maxConfigs;
+        this.maxImages = maxImages;
+        this._configs = new Map();
+        this._images = new Map();
+        this._texts = new Map();
+    }
+
+    /**
+     * 加载主题原始配置（参数同 ConfigParser.loadSource）
+     * 按主题地址缓存；内联的 theme 对象不缓存
+     * @param {{theme?: Object, themeUrl?: string, themePath?: string}} source - 主题来源
+     * @returns {Promise<{rawConfig: Object, themeBase: string}>} 每次返回配置的副本，可放心修改
+     */
+    async loadConfig(source) {
+        const { theme, themeUrl, themePath = '' } = source;
+        if (isPlainObject(theme)) {
+            return ConfigParser.loadSource(source);
+        }
+
+        const key = ConfigParser._normalizeThemeURL(themeUrl || themePath);
+        const { rawConfig, themeBase } = await this._cached(this._configs, key, this.maxConfigs,
+            () => ConfigParser.loadSource({ themeUrl, themePath }));
+        return { rawConfig: structuredClone(rawConfig), themeBase };
+    }
+
+    /**
+     * 加载并解析主题配置
+     * @param {string} themePath - 主题文件夹路径或主题包地址（.json）
+     * @returns {Promise<Object>} 规范化后的配置
+     */
+    async loadTheme(themePath) {
+        const { rawConfig, themeBase } = await this.loadConfig({ themePath });
+        return ConfigParser.parse(rawConfig, themeBase);
+    }
+
+    /**
+     * 加载并解码图片
+     * @param {string} url - 图片地址
+     * @returns {Promise<Object|null>} { width, height, url, element }，加载失败时为 null
+     */
+    loadImage(url) {
+        return this._cached(this._images, url, this.maxImages, async () => {
+            const img = new Image();
+            img.src = url;
+            try {
+                // 解码完成后再返回，挂载时不会因解码卡顿
+                await img.decode();
+            } catch (error) {
+                // 部分浏览器无法预先解码没有固有尺寸的 SVG，退回按 onload 加载
+                return loadImageInfo(url);
+            }
+            return { width: img.naturalWidth, height: img.naturalHeight, url, element: img };
+        });
+    }
+
+    /**
+     * 加载文本资源（如含占位符的 SVG 框架源码）
+     * @param {string} url - 资源地址
+     * @returns {Promise<string|null>} 文本内容，请求失败时为 null
+     */
+    loadText(url) {
+        return this._cached(this._texts, url, this.maxImages, async () => {
+            const response = await fetch(url);
+            return response.ok ? response.text() : null;
+        });
+    }
+
+    /**
+     * 清空缓存（包括主题系列和主题包的缓存）
+     */
+    clear() {
+        this._configs.clear();
+        this._images.clear();
+        this._texts.clear();
+        familyCache.clear();
+        bundleCache.clear();
+    }
+
+    /**
+     * 读取或创建缓存项，命中时移到最近使用的位置，超出上限时淘汰最久未使用的项
+     * @private
+     */
+    _cached(cache, key, limit, load) {
+        let entry = cache.get(key);
+        if (entry) {
+            cache.delete(key);
+            cache.set(key, entry);
+            return entry;
+        }
+
+        const evict = () => {
+            if (cache.get(key) === entry) cache.delete(key);
+        };
+        entry = Promise.resolve().then(load).then(value => {
+            if (value === null) evict();
+            return value;
+        }, error => {
+            evict();
+            throw error;
+        });
+
+        cache.set(key, entry);
+        while (cache.size > limit) {
+            cache.delete(cache.keys().next().value);
+        }
+        return entry;
+    }
+}
+
+// RealPic 与 RealPicViewer 共用的资源加载器
+export const resourceLoader = new ResourceLoader();
+
+/**
+ * RealPic 主类
+ */
+export default class RealPic {
+    /**
+     * @param {HTMLElement} container - 父容器
+     * @param {Object} options - 配置选项（可选，不传则延迟初始化）
+     */
+    constructor(container, options = null) {
+        if (!container) {
+            throw new Error('Container element is required');
+        }
+
+        this.container = container;
+        this.options = null;
+        this.isFlipped = false;
+        this.currentFace = 'front'; // 当前朝向观看者的面 id（双面主题为 front / back，与 isFlipped 一致）
+        this.faceElements = new Map(); // 面 id → { element, frame }，按面的顺序
+        this._faceStep = 1; // 多面卡片 alternate 翻转的当前方向：1 向后翻、-1 翻回
+        this._flipAngle = 0; // 翻转器当前角度（forward / backward 连续翻转时可超出 0 ~ 180）
+        this.isAnimating = false;
+        this._flipTimer = null; // 翻转（含多面卡片翻页）动画结束计时器，换内容、重置和销毁时清除
+        this.parsedConfig = null;
+        this.themePath = null; // 实际使用的主题路径（主题系列解析为具体变体）
+        this.dimensions = null;
+        this.loadedImages = {};
+        this.assignedContents = [];
+        this.contentAreas = new Map();
+        this.resizeObserver = null;
+        this.resizeTimeout = null;
+        this.rafId = null;
+        this.isInitialized = false;
+        this.layout = null;
+        this._listeners = new Map();
+        this.frameURLs = {}; // 各面框架实际使用的地址（含占位符的 SVG 为填充后的 blob URL）
+        this._frameBlobURLs = new Set();
+        this._frameScales = {}; // 各面框架相对设计尺寸的缩放
+        this._loadController = null; // 当前加载的 AbortController，新的 setOptions 会中止旧的加载
+        this._drag = null;
+        this._suppressClickUntil = 0;
+        this._boundDragMouseMove = (e) => this._moveDrag(e.clientX, e.clientY, e);
+        this._boundDragMouseUp = () => this._endDrag();
+        this._zoom = null; // 当前缩放状态 { areaInfo, img, scale, x, y }
+        this._pan = null;
+        this._pinch = null;
+        this._lastTap = null;
+        this._suppressDblClickUntil = 0;
+        this._boundPanMouseMove = (e) => this._movePan(e.clientX, e.clientY, e);
+        this._boundPanMouseUp = () => this._endPan();
+        // 中立姿态 { beta, gamma }：开始监听后的首个读数，之后只在 recalibrateOrientation() 时重新采集
+        // 不随读数自动漂移：deviceorientation 约 60Hz，按读数漂移会在数秒内把持续的倾斜拉回中立
+        this._orientationBase = null;
+        this._orientationListening = false;
+        this._boundOrientationHandler = (e) => this.feedOrientation(e);
+        this._boundOrientationPermission = () => this._requestOrientationPermission();
+        this._idle = null; // 待机状态 { start, sides }，sides 为本轮已展示过的面
+        this._idleTimer = null;
+        this._idleFlipTimer = null;
+        this._idleRaf = null;
+        this._idleListening = false;
+        this._boundIdleInput = (e) => this._handleIdleInput(e);
+        this._boundIdleFrame = (now) => this._idleFrame(now);
+
+        this._createDOM();
+
+        if (options) {
+            // 构造时的加载被后续 setOptions 取代属于正常情况
+            this.setOptions(options).catch(error => {
+                if (!isAbortError(error)) console.error('Failed to initialize RealPic:', error);
+            });
+        }
+    }
+
+    /**
+     * 校验主题配置，返回机器可读的问题列表（不会抛出异常）
+     * @param {string|Object} theme - 主题文件夹路径、主题包地址（.json），或主题配置 / 主题包对象
+     * @param {string} [themePath] - theme 为对象时，用于解析框架图片的基础路径
+     * @returns {Promise<Array<ThemeIssue>>} 问题列表，为空表示通过
+     */
+    static async validateTheme(theme, themePath = '') {
+        let rawConfig = theme;
+        let themeBase = themePath;
+
+        try {
+            if (typeof theme === 'string') {
+                ({ rawConfig, themeBase } = await ConfigParser.loadSource({ themePath: theme }));
+            } else if (isPlainObject(theme)) {
+                ({ rawConfig, themeBase } = await ConfigParser.loadSource({ theme, themePath }));
+            }
+        } catch (error) {
+            if (error instanceof ThemeValidationError) return error.issues;
+            return [{ level: 'error', code: 'config-load-failed', path: '', message: error.message }];
+        }
+
+        const issues = ConfigParser.collectIssues(rawConfig);
+        if (issues.some(issue => issue.code === 'invalid-config' || issue.code === 'invalid-type')) {
+            // 结构错误时无法可靠解析，不再继续检查布局
+            return issues;
+        }
+
+        const config = ConfigParser.parse(rawConfig, themeBase);
+        const loadedImages = {};
+        await Promise.all(config.faces.map(async face => {
+            const image = config.faceConfigs[face].image;
+            if (!image) return;
+            const info = await loadImageInfo(image);
+            if (info) loadedImages[`${face}Frame`] = info;
+        }));
+
+        return issues.concat(ConfigParser.collectLayoutIssues(config, loadedImages));
+    }
+
+    /**
+     * 加载并解析主题配置（含 extends 继承），图片路径已解析为可直接加载的地址
+     * @param {string} themePath - 主题文件夹路径或主题包地址（.json）
+     * @returns {Promise<Object>} 规范化后的配置（faces / faceConfigs / contentArea，双面主题另有 front / back）
+     */
+    static async loadTheme(themePath) {
+        return resourceLoader.loadTheme(themePath);
+    }
+
+    /**
+     * 预加载 setOptions 所需的资源（主题配置、框架图片、内容图片），结果存入共享缓存
+     * 之后以相同主题和内容调用 setOptions 时不再发起网络请求
+     * @param {Object} options - 与 setOptions 相同的配置选项
+     * @returns {Promise<string>} 实际使用的主题路径（主题系列解析为具体变体）
+     */
+    static async preload(options) {
+        // 内容图片与主题无关，先行加载（主题加载失败时同样会被缓存）
+        const tasks = (options.contents || [])
+            .filter(content => content?.type === 'image' && content.src)
+            .map(content => resourceLoader.loadImage(content.src));
+
+        const themePath = await this._resolveOptionsThemePath(options);
+        const { rawConfig, themeBase } = await resourceLoader.loadConfig({ ...options, themePath });
+        const config = ConfigParser.parse(rawConfig, themeBase);
+
+        config.faces.forEach(face => {
+            const image = config.faceConfigs[face].image;
+            if (!image) return;
+            tasks.push(resourceLoader.loadImage(image));
+            if (isSVGURL(image)) tasks.push(resourceLoader.loadText(image).catch(() => null));
+        });
+
+        await Promise.all(tasks);
+        return themePath;
+    }
+
+    /**
+     * 解析主题路径：指向主题系列文件（…/family.json）时返回最适合内容尺寸的变体路径，否则原样返回（不发起请求）
+     * @param {string} themePath - 主题文件夹路径或主题系列文件地址
+     * @param {{width: number, height: number}} [size] - 内容尺寸，未知时使用系列的默认变体
+     * @returns {Promise<string>} 具体主题的路径
+     */
+    static async resolveThemePath(themePath, size) {
+        if (!isFamilyURL(themePath)) return themePath;
+
+        const family = await ConfigParser.fetchFamily(themePath);
+        const variant = family && resolveThemeVariant(family, size?.width, size?.height);
+        if (!variant) {
+            console.warn(`Theme family has no usable variant: ${themePath}`);
+            return themePath;
+        }
+
+        const base = dirnameOf(themePath);
+        const variantDir = variant.theme.endsWith('/') ? variant.theme : variant.theme + '/';
+        return ConfigParser._resolvePath(variantDir, base);
+    }
+
+    /**
+     * 监听组件事件
+     * 同名事件也会以 `realpic:<type>` CustomEvent 的形式在挂载容器上派发（detail 相同）
+     * @param {string} type - 事件类型：load / error / flipstart / flipend / resize / areaclick / linkclick
+     * @param {Function} handler - 回调，参数为事件 detail
+     * @returns {Function} 取消监听的函数
+     */
+    on(type, handler) {
+        if (!this._listeners.has(type)) {
+            this._listeners.set(type, new Set());
+        }
+        this._listeners.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * 取消监听组件事件
+     * @param {string} type - 事件类型
+     * @param {Function} handler - 通过 on() 注册的回调
+     */
+    off(type, handler) {
+        this._listeners.get(type)?.delete(handler);
+    }
+
+    /**
+     * 派发组件事件
+     * @private
+     */
+    _emit(type, detail = {}) {
+        this._listeners.get(type)?.forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`RealPic "${type}" handler error:`, error);
+            }
+        });
+        this.container.dispatchEvent(new CustomEvent(`realpic:${type}`, { detail }));
+    }
+
+    /**
+     * 设置选项并初始化/更新
+     * 上一次调用尚未完成时将其中止：只有最新的调用会修改 DOM，被取代的调用以 AbortError 拒绝（见 isAbortError）
+     * @param {Object} options - 配置选项
+     */
+    async setOptions(options) {
+        this._cancelFlip();
+        this._loadController?.abort(createAbortError());
+        const controller = new AbortController();
+        this._loadController = controller;
+        this.options = options;
+
+        try {
+            if (!this.isInitialized) {
+                await this._init(controller.signal);
+                this.isInitialized = true;
+            } else {
+                await this._updateContent(controller.signal);
+            }
+        } finally {
+            if (this._loadController === controller) {
+                this._loadController = null;
+            }
+        }
+    }
+
+    /**
+     * 中止正在进行的 setOptions：该调用以 AbortError 拒绝，不再渲染、显示卡片或启动媒体播放和闲置动画
+     */
+    abort() {
+        this._loadController?.abort(createAbortError());
+        this._loadController = null;
+    }
+
+    /**
+     * 初始化组件
+     * @private
+     */
+    async _init(signal) {
+        try {
+            await this._loadAndRender(signal);
+        } catch (error) {
+            if (!isAbortError(error)) {
+                this._emit('error', { phase: 'render', cause: error });
+            }
+            throw error;
+        }
+
+        // 设置 ResizeObserver（首次加载被取代后重新初始化时不重复创建）
+        if (window.ResizeObserver && !this.resizeObserver) {
+            this.resizeObserver = new ResizeObserver(() => {
+                clearTimeout(this.resizeTimeout);
+                this.resizeTimeout = setTimeout(() => {
+                    if (!this.isInitialized) return;
+                    // 区域尺寸变化后原有的平移量不再适用
+                    this.resetZoom();
+                    this._applyLayout();
+                    this._emit('resize', { ...this.layout });
+                }, 100);
+            });
+            this.resizeObserver.observe(this.container);
+        }
+
+        this.show();
+    }
+
+    /**
+     * 更新内容（复用 DOM）
+     * @private
+     */
+    async _updateContent(signal) {
+        this.reset();
+        this._clearFrames();
+        this.contentAreas.clear();
+        try {
+            await this._loadAndRender(signal);
+            this.show();
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            this._emit('error', { phase: 'render', cause: error });
+            if (this.options.strict) throw error;
+            console.error('更新内容失败:', error);
+        }
+    }
+
+    /**
+     * 清空框架内容和样式
+     * @private
+     */
+    _clearFrames() {
+        this.faceElements.forEach(({ frame }) => {
+            frame.innerHTML = '';
+            frame.style.cssText = '';
+            frame.className = 'realpic-frame';
+        });
+    }
+
+    /**
+     * 加载资源并渲染
+     * @private
+     */
+    async _loadAndRender(signal) {
+        // 每次等待之后都要确认本次加载仍是最新的，被取代时以 AbortError 退出，不再修改状态和 DOM
+        // 1. 确定主题（主题系列按内容尺寸选择变体），加载并解析主题配置
+        this.themePath = await abortable(this._resolveThemePath(), signal);
+        await this._loadConfig(signal);
+
+        // 2. 将内容分配到区域，并加载所有图片资源
+        this.assignedContents = this._assignContents();
+        await this._loadImages(signal);
+
+        // 3. 计算最终尺寸
+        this.dimensions = ConfigParser.getDimensions(this.parsedConfig, this.loadedImages);
+
+        // strict 模式：框架图片缺失或区域越界时中止渲染
+        if (this.options.strict) {
+            const errors = ConfigParser.collectLayoutIssues(this.parsedConfig, this.loadedImages)
+                .filter(issue => issue.level === 'error');
+            if (errors.length > 0) {
+                throw new ThemeValidationError(errors);
+            }
+        }
+
+        // 4. 按主题的面列表创建各面，再创建内容区域和表面光照层
+        this._buildFaces();
+        this._createContentAreas();
+        this._createLightingLayers();
+
+        // 5. 计算并应用布局（新框架生效后释放旧的 blob URL）
+        this._applyLayout();
+        this._revokeFrameURLs(Object.values(this.frameURLs));
+
+        // 6. 挂载内容
+        await this._mountContents(signal);
+        signal?.throwIfAborted();
+        this._updateLabel();
+        this.rootElement.classList.toggle('realpic-zoomable', this.options.zoom === true);
+        this._applyFlipConfig();
+        this._syncOrientationListener();
+        // 新内容从第一面开始，待机的翻面轮次重新计算
+        if (this._idle) this._idle.sides = new Set([this.currentFace]);
+
+        this._emit('load', {
+            themePath: this.themePath,
+            dimensions: this.dimensions
+        });
+    }
+
+    /**
+     * 确定实际使用的主题路径：主题系列按内容尺寸选择变体
+     * @private
+     */
+    _resolveThemePath() {
+        return RealPic._resolveOptionsThemePath(this.options);
+    }
+
+    /**
+     * 按配置选项确定主题路径（实例渲染与 preload 共用）
+     * @private
+     */
+    static async _resolveOptionsThemePath(options) {
+        const { theme, themeUrl, themePath } = options || {};
+
+        // 内联主题和主题包不是主题系列；内联主题的框架图片相对 themePath 解析
+        if (isPlainObject(theme)) return themePath || '';
+        if (themeUrl) return themeUrl;
+
+        if (!themePath) {
+            throw new Error('themePath, themeUrl or theme is required in options');
+        }
+        if (!isFamilyURL(themePath)) return themePath;
+
+        // 以第一项图片/视频内容（优先显式指定 area 0 的）的尺寸选择变体
+        const contents = options.contents || [];
+        const isMedia = content => content?.src && (content.type === 'image' || content.type === 'video');
+        const media = contents.find(content => isMedia(content) && String(content.area) === '0') || contents.find(isMedia);
+        const info = media
+            ? await (media.type === 'video' ? loadVideoInfo(media.src) : resourceLoader.loadImage(media.src))
+            : null;
+
+        return this.resolveThemePath(themePath, info);
+    }
+
+    /**
+     * 加载主题配置
+     * @private
+     */
+    async _loadConfig(signal) {
+        let themeBase = this.themePath;
+
+        try {
+            const { theme, themeUrl } = this.options;
+            const source = await abortable(resourceLoader.loadConfig({ theme, themeUrl, themePath: this.themePath }), signal);
+            const rawConfig = source.rawConfig;
+            themeBase = source.themeBase;
+            if (this.options.strict) {
+                const errors = ConfigParser.collectIssues(rawConfig).filter(issue => issue.level === 'error');
+                if (errors.length > 0) {
+                    throw new ThemeValidationError(errors);
+                }
+            }
+            this.parsedConfig = ConfigParser.parse(rawConfig, themeBase);
+        } catch (error) {
+            // strict 模式：错误直接交给调用方，不回退到默认配置
+            if (this.options.strict || isAbortError(error)) throw error;
+            console.error('Failed to load theme:', error);
+            this._emit('error', { phase: 'config', cause: error, url: this.themePath });
+            // 使用最小默认配置
+            this.parsedConfig = ConfigParser.parse({}, themeBase);
+        }
+    }
+
+    /**
+     * 加载图片资源
+     * @private
+     */
+    async _loadImages(signal) {
+        const loadSingle = async (url, key, loader = src => resourceLoader.loadImage(src)) => {
+            const info = await loader(url, signal);
+            // 已被新的加载取代：结果不写入（loadedImages 此时可能属于新的加载）
+            if (signal?.aborted) return null;
+            if (info) {
+                this.loadedImages[key] = info;
+            } else {
+                console.warn(`Failed to load image: ${url}`);
+                this._emit('error', {
+                    phase: 'image',
+                    cause: new Error(`Failed to load image: ${url}`),
+                    url,
+                    area: key.startsWith('content_') ? this._areaIdFromKey(key) : null
+                });
+            }
+            return info;
+        };
+
+        const tasks = [];
+        this.loadedImages = {};
+
+        this.frameURLs = {};
+        this.parsedConfig.faces.forEach(side => {
+            const image = this.parsedConfig.faceConfigs[side].image;
+            if (!image) return;
+            tasks.push(this._resolveFrameURL(image).then(url => {
+                if (signal?.aborted) return null;
+                this.frameURLs[side] = url;
+                // 填充占位符生成的 blob URL 每次不同，不进入共享缓存
+                return this._frameBlobURLs.has(url)
+                    ? loadSingle(url, `${side}Frame`, loadImageInfo)
+                    : loadSingle(url, `${side}Frame`);
+            }));
+        });
+
+        this.assignedContents.forEach(({ areaId, content }) => {
+            if (content.type === 'image' && content.src) {
+                tasks.push(loadSingle(content.src, `content_${areaId}`));
+            } else if (content.type === 'video' && content.src) {
+                // 视频只加载元数据，用其原始尺寸参与卡片尺寸计算
+                tasks.push(loadSingle(content.src, `content_${areaId}`, loadVideoInfo));
+            }
+        });
+
+        await abortable(Promise.all(tasks), signal);
+    }
+
+    /**
+     * 解析框架地址：SVG 中含占位符时用 options.data 填充并生成 blob URL，否则原样返回
+     * @private
+     */
+    async _resolveFrameURL(url) {
+        if (!isSVGURL(url)) return url;
+
+        try {
+            const svgText = await resourceLoader.loadText(url);
+            if (!svgText || !svgText.match(SVG_PLACEHOLDER_RE)) return url;
+
+            const blob = new Blob([fillSVGPlaceholders(svgText, this.options.data)], { type: 'image/svg+xml' });
+            const blobURL = URL.createObjectURL(blob);
+            this._frameBlobURLs.add(blobURL);
+            return blobURL;
+        } catch (error) {
+            // 无法读取源码（如跨域）时按普通图片加载
+            return url;
+        }
+    }
+
+    /**
+     * 释放不再使用的框架 blob URL
+     * @private
+     * @param {Array<string>} [keep] - 仍在使用的地址
+     */
+    _revokeFrameURLs(keep = []) {
+        this._frameBlobURLs.forEach(url => {
+            if (keep.includes(url)) return;
+            URL.revokeObjectURL(url);
+            this._frameBlobURLs.delete(url);
+        });
+    }
+
+    /**
+     * 更新卡片的无障碍名称：options.label，否则使用第一个图片/视频的替代文本
+     * @private
+     */
+    _updateLabel() {
+        const media = this.assignedContents.find(({ content }) => content.type !== 'text' && content.alt);
+        this.rootElement.setAttribute('aria-label', this.options.label || media?.content.alt || '卡片');
+    }
+
+    /**
+     * 由 loadedImages 的键（content_<区域id>）找回区域 id
+     * @private
+     */
+    _areaIdFromKey(key) {
+        const idText = key.slice('content_'.length);
+        return this.parsedConfig.contentArea.find(area => String(area.area) === idText)?.area ?? idText;
+    }
+
+    /**
+     * 将 options.contents 分配到内容区域
+     * - 指定了 area 的内容直接使用该 id
+     * - 其余内容按顺序填入声明了相同 type 的空闲区域
+     * - 其余按下标对应未声明 type 的区域（兼容经典双面主题），该区域已被占用时填入第一个未声明 type 的空闲区域
+     * - 没有空闲区域（或指定的区域已被之前的内容占用）的内容不显示，输出警告，不会覆盖其他内容
+     * @private
+     * @returns {Array<{areaId: (number|string), content: Object}>}
+     */
+    _assignContents() {
+        const contents = this.options.contents || [];
+        const areas = this.parsedConfig.contentArea;
+        const usedIds = new Set(contents.filter(c => c.area !== undefined).map(c => c.area));
+        const claimedIds = new Set();
+
+        return contents.map((content, index) => {
+            if (content.area !== undefined) {
+                if (claimedIds.has(content.area)) {
+                    console.warn(`Content ${index} skipped: area ${JSON.stringify(content.area)} is already used by another content`);
+                    return null;
+                }
+                claimedIds.add(content.area);
+                return { areaId: content.area, content };
+            }
+
+            const free = area => area && !usedIds.has(area.area);
+            const area = areas.find(item => item.type === content.type && free(item)) ||
+                (free(areas[index]) && areas[index].type === null ? areas[index] : null) ||
+                areas.find(item => item.type === null && free(item));
+            if (!area) {
+                console.warn(`Content ${index} skipped: no free content area left in the theme`);
+                return null;
+            }
+            usedIds.add(area.area);
+            return { areaId: area.area, content };
+        }).filter(Boolean);
+    }
+
+    /**
+     * 创建内容区域
+     * @private
+     */
+    _createContentAreas() {
+        this.contentAreas.clear();
+        
+        // 清空现有框架内容，确保无残留
+        this.faceElements.forEach(({ frame }) => {
+            frame.innerHTML = '';
+        });
+
+        this.parsedConfig.contentArea.forEach(areaConfig => {
+            const side = areaConfig.side;
+            const parentFrame = this.faceElements.get(side)?.frame;
+            // 未知的面（非 strict 模式下的无效配置）：不创建区域
+            if (!parentFrame) {
+                console.warn(`Content area ${areaConfig.area} is on unknown side "${side}"`);
+                return;
+            }
+
+            const areaEl = document.createElement('div');
+            areaEl.className = 'realpic-content-area';
+            areaEl.dataset.areaId = areaConfig.area;
+            areaEl.dataset.side = side;
+            areaEl.dataset.position = areaConfig.position;
+            areaEl.dataset.fit = areaConfig.fit;
+
+            parentFrame.appendChild(areaEl);
+
+            this.contentAreas.set(areaConfig.area, {
+                element: areaEl,
+                config: areaConfig,
+                side: side
+            });
+        });
+    }
+
+    /**
+     * 按主题的 lighting 配置在框架最上层创建光照层（高光 + 镭射彩虹）
+     * @private
+     */
+    _createLightingLayers() {
+        this.parsedConfig.faces.forEach(side => {
+            const lighting = this.parsedConfig.faceConfigs[side].lighting;
+            if (!lighting) return;
+
+            const layer = document.createElement('div');
+            layer.className = `realpic-lighting realpic-lighting-${lighting.finish}`;
+            layer.setAttribute('aria-hidden', 'true');
+            layer.style.setProperty('--realpic-light-intensity', lighting.intensity);
+
+            // 遮罩：光照仅出现在遮罩不透明的区域（如局部镭射）
+            if (lighting.mask) {
+                const mask = `url("${lighting.mask.replace(/"/g, '%22')}")`;
+                layer.style.maskImage = mask;
+                layer.style.webkitMaskImage = mask;
+            }
+
+            if (lighting.finish === 'holo') {
+                const sheen = document.createElement('div');
+                sheen.className = 'realpic-lighting-sheen';
+                layer.appendChild(sheen);
+            }
+
+            const glare = document.createElement('div');
+            glare.className = 'realpic-lighting-glare';
+            layer.appendChild(glare);
+
+            this.faceElements.get(side).frame.appendChild(layer);
+        });
+        this._applyTilt(0, 0);
+    }
+
+    /**
+     * 应用布局
+     * @private
+     */
+    _applyLayout() {
+        const containerRect = this.rootElement.getBoundingClientRect();
+        const containerW = containerRect.width;
+        const containerH = containerRect.height;
+
+        const realpicSize = this.dimensions.realpic;
+
+        // 等比例缩放以适应容器，充分利用容器空间
+        const scale = Math.min(
+            containerW / realpicSize.width,
+            containerH / realpicSize.height
+        );
+
+        const scaledW = realpicSize.width * scale;
+        const scaledH = realpicSize.height * scale;
+
+        // 应用 viewport 尺寸
+        this.perspectiveWrapper.style.width = `${scaledW}px`;
+        this.perspectiveWrapper.style.height = `${scaledH}px`;
+        this.layout = { width: scaledW, height: scaledH, scale };
+
+        // 应用各面（front / back）布局
+        this.faceElements.forEach(({ frame }, side) => {
+            this._applyFrameLayout(side, frame, scaledW, scaledH);
+        });
+
+        // 应用内容区域布局
+        this.contentAreas.forEach((areaInfo) => {
+            this._applyAreaLayout(areaInfo);
+        });
+    }
+
+    /**
+     * 应用单面框架布局
+     * @private
+     */
+    _applyFrameLayout(side, frameEl, viewportW, viewportH) {
+        const config = this.parsedConfig.faceConfigs[side];
+        const { scale: sideScale, width: frameW, height: frameH, x: offsetX, y: offsetY } =
+            this._computeFrameRect(side, viewportW, viewportH);
+
+        frameEl.style.width = `${frameW}px`;
+        frameEl.style.height = `${frameH}px`;
+        frameEl.style.left = `${offsetX}px`;
+        frameEl.style.top = `${offsetY}px`;
+
+        // 应用背景
+        if (config.image && this.loadedImages[`${side}Frame`]) {
+            frameEl.style.backgroundImage = `url('${this.frameURLs[side] || config.image}')`;
+            frameEl.style.backgroundSize = `${frameW}px ${frameH}px`;
+            frameEl.style.backgroundColor = 'transparent';
+        } else {
+            frameEl.style.backgroundImage = 'none';
+            frameEl.style.backgroundColor = config.background;
+        }
+
+        // 保存缩放信息供后续使用
+        this._frameScales[side] = sideScale;
+    }
+
+    /**
+     * 计算单面框架在 viewport 内的位置和缩放（等比缩放并居中）
+     * @private
+     * @returns {{x: number, y: number, width: number, height: number, scale: number}}
+     */
+    _computeFrameRect(side, viewportW, viewportH) {
+        const sideDimensions = this.dimensions[side];
+
+        // 计算该面在realpic尺寸内的缩放
+        const scale = Math.min(
+            viewportW / sideDimensions.width,
+            viewportH / sideDimensions.height
+        );
+
+        const width = sideDimensions.width * scale;
+        const height = sideDimensions.height * scale;
+
+        return {
+            x: (viewportW - width) / 2,
+            y: (viewportH - height) / 2,
+            width,
+            height,
+            scale
+        };
+    }
+
+    /**
+     * 计算内容区域在所属框架内的位置和尺寸
+     * @private
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    _computeAreaRect(config, side, sideScale) {
+        const sideDimensions = this.dimensions[side];
+        return {
+            x: this._parseDimension(config.x, sideDimensions.width) * sideScale,
+            y: this._parseDimension(config.y, sideDimensions.height) * sideScale,
+            width: this._parseDimension(config.width, sideDimensions.width) * sideScale,
+            height: this._parseDimension(config.height, sideDimensions.height) * sideScale
+        };
+    }
+
+    /**
+     * 应用内容区域布局
+     * @private
+     */
+    _applyAreaLayout(areaInfo) {
+        const { element: areaEl, config, side } = areaInfo;
+        const sideScale = this._frameScales[side] || 1;
+
+        // 解析尺寸值
+        const { x, y, width, height } = this._computeAreaRect(config, side, sideScale);
+
+        areaEl.style.left = `${x}px`;
+        areaEl.style.top = `${y}px`;
+        areaEl.style.width = `${width}px`;
+        areaEl.style.height = `${height}px`;
+
+        // 应用样式（将 camelCase 转为 kebab-case）
+        if (config.style) {
+            for (const [key, value] of Object.entries(config.style)) {
+                areaEl.style[toKebabCase(key)] = value;
+            }
+        }
+    }
+
+    /**
+     * 解析尺寸值
+     * @private
+     */
+    _parseDimension(value, baseSize) {
+        return ConfigParser.parseDimension(value, baseSize);
+    }
+
+    /**
+     * 挂载内容
+     * @private
+     */
+    async _mountContents(signal) {
+        const tasks = this.assignedContents.map(async ({ areaId, content: contentData }) => {
+            const areaInfo = this.contentAreas.get(areaId);
+
+            if (!areaInfo) {
+                console.warn(`Content area ${areaId} not found`);
+                return;
+            }
+
+            const { element: areaEl, config: areaConfig } = areaInfo;
+            areaInfo.content = contentData;
+            areaEl.dataset.contentType = contentData.type;
+
+            // 根据类型挂载内容
+            if (contentData.type === 'image') {
+                this._mountImageContent(areaEl, contentData);
+            } else if (contentData.type === 'video') {
+                this._mountVideoContent(areaEl, contentData, this.loadedImages[`content_${areaId}`]?.element);
+            } else if (contentData.type === 'text') {
+                await this._mountTextContent(areaEl, contentData, areaConfig, signal);
+                if (!signal?.aborted) await this._fitText(areaInfo, signal);
+            }
+        });
+
+        await Promise.all(tasks);
+    }
+
+    /**
+     * 挂载图片内容
+     * @private
+     */
+    _mountImageContent(areaEl, contentData) {
+        areaEl.innerHTML = ''; // 清空之前的内容，防止重影
+        const img = document.createElement('img');
+        img.src = contentData.src || '';
+        img.alt = contentData.alt || '';
+        img.draggable = false; // 避免浏览器原生图片拖拽打断拖拽翻转
+        areaEl.appendChild(img);
+    }
+
+    /**
+     * 挂载视频内容（不自动播放，播放状态由 _syncMediaPlayback 按可见面控制）
+     * @private
+     * @param {HTMLVideoElement} [preloaded] - 加载元数据时创建的视频元素，复用以避免重复请求
+     */
+    _mountVideoContent(areaEl, contentData, preloaded) {
+        areaEl.innerHTML = '';
+        const video = preloaded || document.createElement('video');
+        if (!preloaded) video.src = contentData.src || '';
+        if (contentData.poster) video.poster = contentData.poster;
+        video.loop = contentData.loop ?? true;
+        video.muted = contentData.muted ?? true;
+        video.playsInline = true;
+        video.setAttribute('playsinline', '');
+        video.preload = 'auto';
+        if (contentData.alt) video.setAttribute('aria-label', contentData.alt);
+        areaEl.appendChild(video);
+    }
+
+    /**
+     * 同步视频播放状态：仅播放当前朝向观看者一面的视频
+     * @private
+     * @param {boolean} [rewind=false] - 暂停时是否回到开头
+     */
+    _syncMediaPlayback(rewind = false) {
+        const visibleSide = this.isVisible() ? this.currentFace : null;
+
+        this.contentAreas.forEach(({ element, side }) => {
+            element.querySelectorAll('video').forEach(video => {
+                if (side === visibleSide) {
+                    // 自动播放策略可能拒绝有声视频，忽略即可（用户仍可手动播放）
+                    video.play()?.catch(() => {});
+                } else {
+                    video.pause();
+                    if (rewind) video.currentTime = 0;
+                }
+            });
+        });
     }
 
     /**
      * 挂载文本内容（使用 SVG foreignObject 实现完美缩放）
      * @private
      */
-    async _mountTextContent(areaEl, contentData, areaConfig) {
-        const side = areaConfig.side;
-        const sideDimensions = this.dimensions[side];
-        // 这里不能只基于宽度，因为有些瘦高图片的超高会导致放缩，进而导致基于宽度的字号太小
-        const realpicRange = Math.max(this.dimensions.realpic.width, this.dimensions.realpic.height);
+    async _mountTextContent(areaEl, contentData, areaConfig, signal) {
+        const side = areaConfig.side;
+        const sideDimensions = this.dimensions[side];
+        // 这里不能只基于宽度，因为有些瘦高图片的超高会导致放缩，进而导致基于宽度的字号太小
+        const realpicRange = Math.max(this.dimensions.realpic.width, this.dimensions.realpic.height);
+
+        // 使用设计尺寸（未缩放前的原始尺寸）
+        const width = this._parseDimension(areaConfig.width, sideDimensions.width);
+        const height = this._parseDimension(areaConfig.height, sideDimensions.height);
+
+        // 计算字体大小：优先使用 theme 指定的 fontSize，否则按 realpic 宽度的 2.5%
+        const fontSizeValue = areaConfig.style?.fontSize;
+        let fontSize;
+        if (fontSizeValue) {
+            fontSize = typeof fontSizeValue === 'string' ? parseFloat(fontSizeValue) || realpicRange * DEFAULT_FONT_SCALE : fontSizeValue;
+        } else {
+            fontSize = realpicRange * DEFAULT_FONT_SCALE;
+        }
+
+        // 解析位置为 flex 对齐值
+        const alignMap = {
+            top: ['flex-start', 'center', 'center'],
+            bottom: ['flex-end', 'center', 'center'],
+            left: ['center', 'flex-start', 'left'],
+            right: ['center', 'flex-end', 'right'],
+            center: ['center', 'center', 'center']
+        };
+        const [alignItems, justifyContent, textAlign] = alignMap[areaConfig.position || 'center'];
+
+        const htmlContent = await parseLightMD(contentData.content || '', this.options.markdown);
+        // 渲染 Markdown 期间已被新的加载取代（区域 id 可能已属于新的内容）
+        if (signal?.aborted) return;
+
+        // 滚动模式：超出部分可滚动，safe 对齐保证内容顶部不会被居中推出可滚动范围
+        const textFit = areaConfig.textFit || 'clip';
+        const overflowCSS = textFit === 'scroll'
+            ? `overflow-y: auto; overscroll-behavior: contain; align-items: safe ${alignItems};`
+            : `overflow: hidden; align-items: ${alignItems};`;
+
+        areaEl.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" 
+                 preserveAspectRatio="xMidYMid meet"
+                 width="100%" height="100%"
+                 style="display: block;">
+                <foreignObject width="${width}" height="${height}">
+                    <div xmlns="http://www.w3.org/1999/xhtml" 
+                         class="realpic-text-content"
+                         data-text-fit="${textFit}"
+                         style="width: ${width}px; height: ${height}px; ${overflowCSS} display: flex; justify-content: ${justifyContent}; font-size: ${fontSize}px;">
+                        <div class="realpic-text-body" style="width: 100%; text-align: ${textAlign};">${htmlContent}</div>
+                    </div>
+                </foreignObject>
+            </svg>
+        `;
+
+        const areaInfo = this.contentAreas.get(areaConfig.area);
+        if (areaInfo) {
+            areaInfo.text = { mode: textFit, width, height, fontSize, page: 0, pages: 1 };
+        }
+    }
+
+    /**
+     * 按区域的 textFit 模式调整文字：
+     * clip 超出裁切，shrink 二分查找能放下的最大字号，paginate 分页，scroll 区域内滚动
+     * 文字仍被截断时派发 overflow 事件
+     * @private
+     * @param {Object} areaInfo - 区域信息
+     * @param {AbortSignal} [signal] - 本次加载的中止信号
+     */
+    async _fitText(areaInfo, signal) {
+        const text = areaInfo.text;
+        const box = areaInfo.element.querySelector('.realpic-text-content');
+        const body = box?.querySelector('.realpic-text-body');
+        if (!text || !body) return;
+
+        // 先触发排版使字体开始加载，再等待加载完成，避免用回退字体测量
+        void box.offsetHeight;
+        if (document.fonts?.ready) await document.fonts.ready;
+        // 等待期间加载被取代或组件已销毁：区域 DOM 可能已替换，不再测量
+        if (signal?.aborted || this.contentAreas.get(areaInfo.config.area) !== areaInfo) return;
+        // 容器未显示（如 display: none）时无法测量
+        if (!box.isConnected || box.clientHeight === 0) return;
+
+        const { config } = areaInfo;
+        const overflows = () => body.scrollHeight > text.height + 1 || body.scrollWidth > text.width + 1;
+
+        if (text.mode === 'shrink') {
+            const max = ConfigParser.parseFontSize(config.maxFontSize) ?? text.fontSize;
+            const min = Math.min(ConfigParser.parseFontSize(config.minFontSize) ?? text.fontSize * TEXT_FIT_MIN_SCALE, max);
+            const fits = (size) => {
+                box.style.fontSize = `${size}px`;
+                return !overflows();
+            };
+
+            let best = min;
+            if (fits(max)) {
+                best = max;
+            } else if (fits(min)) {
+                let lo = min;
+                let hi = max;
+                while (hi - lo > TEXT_FIT_PRECISION) {
+                    const mid = (lo + hi) / 2;
+                    if (fits(mid)) lo = mid;
+                    else hi = mid;
+                }
+                best = lo;
+            }
+            box.style.fontSize = `${best}px`;
+            text.fontSize = best;
+        } else if (text.mode === 'paginate' && overflows()) {
+            // 多栏布局：每栏与区域等宽，溢出的栏横向排列，平移显示第 n 页
+            box.style.display = 'block';
+            Object.assign(body.style, {
+                height: `${text.height}px`,
+                columnWidth: `${text.width}px`,
+                columnGap: '0px',
+                columnFill: 'auto'
+            });
+            text.pages = Math.max(1, Math.round(body.scrollWidth / text.width));
+            this._renderTextPager(areaInfo);
+            this.setTextPage(areaInfo.config.area, 0);
+            return;
+        }
+
+        if (text.mode !== 'scroll' && overflows()) {
+            this._emit('overflow', {
+                area: config.area,
+                side: areaInfo.side,
+                mode: text.mode,
+                fontSize: text.fontSize
+            });
+        }
+    }
+
+    /**
+     * 创建分页控件（上一页 / 页码 / 下一页）
+     * @private
+     */
+    _renderTextPager(areaInfo) {
+        const area = areaInfo.config.area;
+        const pager = document.createElement('div');
+        pager.className = 'realpic-text-pager';
+
+        const createButton = (className, label, symbol, delta) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = className;
+            button.setAttribute('aria-label', label);
+            button.textContent = symbol;
+            button.addEventListener('click', (e) => {
+                // 不触发卡片翻转和外部点击逻辑
+                e.stopPropagation();
+                this.setTextPage(area, areaInfo.text.page + delta);
+            });
+            return button;
+        };
+
+        const status = document.createElement('span');
+        status.className = 'realpic-text-pager-status';
+
+        pager.append(
+            createButton('realpic-text-pager-prev', '上一页', '‹', -1),
+            status,
+            createButton('realpic-text-pager-next', '下一页', '›', 1)
+        );
+        // 不在分页控件上开始拖拽翻转
+        ['mousedown', 'touchstart'].forEach(type => {
+            pager.addEventListener(type, (e) => e.stopPropagation());
+        });
+        areaInfo.element.appendChild(pager);
+    }
+
+    /**
+     * 切换分页文字区域的页码
+     * @param {string|number} area - 区域 id
+     * @param {number} page - 页码（从 0 开始，超出范围时取边界值）
+     * @returns {boolean} 是否切换了页面
+     */
+    setTextPage(area, page) {
+        const areaInfo = this.contentAreas.get(area);
+        const text = areaInfo?.text;
+        if (!text || text.mode !== 'paginate') return false;
+
+        const target = Math.max(0, Math.min(text.pages - 1, page));
+        const body = areaInfo.element.querySelector('.realpic-text-body');
+        body.style.transform = `translateX(${-target * text.width}px)`;
+
+        const pager = areaInfo.element.querySelector('.realpic-text-pager');
+        if (pager) {
+            pager.querySelector('.realpic-text-pager-status').textContent = `${target + 1} / ${text.pages}`;
+            pager.querySelector('.realpic-text-pager-prev').disabled = target === 0;
+            pager.querySelector('.realpic-text-pager-next').disabled = target === text.pages - 1;
+        }
+
+        if (target === text.page) return false;
+        text.page = target;
+        this._emit('pagechange', { area, side: areaInfo.side, page: target, pages: text.pages });
+        return true;
+    }
+
+    /**
+     * 创建 DOM 结构
+     * @private
+     */
+    _createDOM() {
+        this.container.innerHTML = '';
+        this.container.classList.add('realpic-mount-point');
+
+        // 根容器（可聚焦，Enter / 空格翻转）
+        this.rootElement = document.createElement('div');
+        this.rootElement.className = 'realpic-root realpic-hidden';
+        this.rootElement.tabIndex = 0;
+        this.rootElement.setAttribute('role', 'group');
+        this.rootElement.setAttribute('aria-roledescription', '双面卡片');
+        this.rootElement.setAttribute('aria-label', '卡片');
+
+        // 透视旋转层
+        this.perspectiveWrapper = document.createElement('div');
+        this.perspectiveWrapper.className = 'realpic-viewport';
+
+        // 翻转器
+        this.flipper = document.createElement('div');
+        this.flipper.className = 'realpic-flipper';
+
+        // 正面
+        this.frontElement = document.createElement('div');
+        this.frontElement.className = 'realpic-front';
+        this.frontFrame = document.createElement('div');
+        this.frontFrame.className = 'realpic-frame';
+        this.frontElement.appendChild(this.frontFrame);
+
+        // 背面
+        this.backElement = document.createElement('div');
+        this.backElement.className = 'realpic-back';
+        this.backFrame = document.createElement('div');
+        this.backFrame.className = 'realpic-frame';
+        this.backElement.appendChild(this.backFrame);
+        this.faceElements = new Map([
+            ['front', { element: this.frontElement, frame: this.frontFrame }],
+            ['back', { element: this.backElement, frame: this.backFrame }]
+        ]);
+
+        // 读屏播报区域：翻到某一面时朗读该面的文字
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'realpic-sr-only';
+        this.liveRegion.setAttribute('aria-live', 'polite');
+
+        // 组装
+        this.flipper.appendChild(this.frontElement);
+        this.flipper.appendChild(this.backElement);
+        this.perspectiveWrapper.appendChild(this.flipper);
+        this.rootElement.appendChild(this.perspectiveWrapper);
+        this.rootElement.appendChild(this.liveRegion);
+        this.container.appendChild(this.rootElement);
+        this._syncFaceState();
+
+        // 绑定事件
+        this._bindFrameEvents(this.frontFrame);
+        this._bindFrameEvents(this.backFrame);
+        this.rootElement.addEventListener('click', (e) => {
+            // 拖拽翻转结束后的 click 不应再触发外部的点击逻辑
+            if (performance.now() < this._suppressClickUntil) {
+                e.stopPropagation();
+                e.preventDefault();
+            }
+        }, true);
+        this.rootElement.addEventListener('click', (e) => this._handleRootClick(e));
+        this.rootElement.addEventListener('keydown', (e) => {
+            if (e.target !== this.rootElement) return;
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.flip();
+            } else if (e.key === 'PageDown' || e.key === 'PageUp') {
+                // 翻阅当前面第一个分页文字区域
+                const paged = [...this.contentAreas.values()].find(info => info.side === this.currentFace && info.text?.pages > 1);
+                if (paged) {
+                    e.preventDefault();
+                    this.setTextPage(paged.config.area, paged.text.page + (e.key === 'PageDown' ? 1 : -1));
+                }
+            }
+        });
+    }
+
+    /**
+     * 按主题的面列表重建面元素：双面主题使用固定的 front / back 元素，多面主题为每一面创建 .realpic-face
+     * 在加载的最后阶段调用（此前的等待都已完成），卡片回到第一面
+     * @private
+     */
+    _buildFaces() {
+        const { faces, multiFace } = this.parsedConfig;
+        const wasMultiFace = this.rootElement.classList.contains('realpic-multiface');
+
+        if (multiFace || wasMultiFace) {
+            this.flipper.innerHTML = '';
+            if (multiFace) {
+                this.faceElements = new Map(faces.map((face, index) => {
+                    const element = document.createElement('div');
+                    element.className = 'realpic-face';
+                    element.dataset.face = face;
+                    // 靠后的面略微下沉，翻页时不与上层的面重叠闪烁
+                    element.style.setProperty('--realpic-face-index', index);
+                    const frame = document.createElement('div');
+                    frame.className = 'realpic-frame';
+                    element.appendChild(frame);
+                    this.flipper.appendChild(element);
+                    this._bindFrameEvents(frame);
+                    return [face, { element, frame }];
+                }));
+            } else {
+                this.flipper.appendChild(this.frontElement);
+                this.flipper.appendChild(this.backElement);
+                this.faceElements = new Map([
+                    ['front', { element: this.frontElement, frame: this.frontFrame }],
+                    ['back', { element: this.backElement, frame: this.backFrame }]
+                ]);
+            }
+            this.rootElement.classList.toggle('realpic-multiface', multiFace);
+            this.rootElement.setAttribute('aria-roledescription', multiFace ? '多页卡片' : '双面卡片');
+        }
+
+        this.currentFace = faces[0];
+        this._syncFaceState();
+    }
+
+    /**
+     * 同步各面的状态：背向观看者的面对读屏和键盘不可见；多面卡片中当前面之前的各面标记为已翻过
+     * @private
+     * @param {boolean} [announce=false] - 是否播报当前面的文字内容
+     */
+    _syncFaceState(announce = false) {
+        const faces = [...this.faceElements.keys()];
+        const current = faces.indexOf(this.currentFace);
+
+        faces.forEach((side, index) => {
+            const { element } = this.faceElements.get(side);
+            const hidden = side !== this.currentFace;
+            element.setAttribute('aria-hidden', String(hidden));
+            element.inert = hidden;
+            if (element.classList.contains('realpic-face')) {
+                element.classList.toggle('realpic-face-turned', index < current);
+                element.classList.toggle('realpic-face-current', index === current);
+            }
+        });
+
+        if (announce) {
+            this.liveRegion.textContent = this._getSideText(this.currentFace);
+        }
+    }
+
+    /**
+     * 获取某一面的可读文字（文字内容，或图片/视频的替代文本）
+     * @private
+     */
+    _getSideText(side) {
+        const texts = [];
+        this.contentAreas.forEach(({ side: areaSide, content }) => {
+            if (areaSide !== side || !content) return;
+            const text = content.type === 'text' ? content.content : content.alt;
+            if (text) texts.push(text);
+        });
+        return texts.join('\n');
+    }
+
+    /**
+     * 是否偏好减少动态效果（翻转改为淡入淡出，禁用倾斜和拖拽翻转）
+     * @private
+     */
+    _prefersReducedMotion() {
+        return window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false;
+    }
+
+    /**
+     * 处理组件内点击：链接不触发外部点击逻辑，并派发 linkclick / areaclick 事件
+     * @private
+     */
+    _handleRootClick(e) {
+        const areaEl = e.target.closest('.realpic-content-area');
+        const areaInfo = areaEl && [...this.contentAreas.values()].find(info => info.element === areaEl);
+        const areaDetail = {
+            area: areaInfo?.config.area ?? null,
+            side: areaInfo?.side ?? null
+        };
+
+        const link = e.target.closest('a');
+        if (link) {
+            e.stopPropagation();
+            this._emit('linkclick', { href: link.href, ...areaDetail, originalEvent: e });
+            return;
+        }
+
+        if (areaInfo) {
+            this._emit('areaclick', {
+                ...areaDetail,
+                type: areaInfo.content?.type ?? null,
+                originalEvent: e
+            });
+        }
+    }
+
+    /**
+     * 绑定单个 frame 的事件
+     * @private
+     */
+    _bindFrameEvents(frameEl) {
+        // 更新坐标并调度透视更新
+        const updatePointer = (x, y) => {
+            if (this.isAnimating || this._drag?.active) return;
+            this._lastMouseX = x;
+            this._lastMouseY = y;
+            if (!this._rafPending) {
+                this._rafPending = true;
+                this.rafId = requestAnimationFrame(() => {
+                    this._rafPending = false;
+                    this._updatePerspective();
+                });
+            }
+        };
+
+        frameEl.addEventListener('mousemove', (e) => updatePointer(e.clientX, e.clientY));
+        frameEl.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            if (this._startPan(e.clientX, e.clientY)) {
+                e.preventDefault();
+                window.addEventListener('mousemove', this._boundPanMouseMove);
+                window.addEventListener('mouseup', this._boundPanMouseUp);
+                return;
+            }
+            if (this._startDrag(e.clientX, e.clientY)) {
+                window.addEventListener('mousemove', this._boundDragMouseMove);
+                window.addEventListener('mouseup', this._boundDragMouseUp);
+            }
+        });
+        frameEl.addEventListener('mouseleave', () => {
+            this._lastMouseX = undefined;
+            this._lastMouseY = undefined;
+            this._updatePerspective();
+        });
+        frameEl.addEventListener('touchstart', (e) => {
+            if (this.isAnimating) return;
+            const touch = e.touches[0];
+            this._isTouching = true;
+            this._lastMouseX = touch.clientX;
+            this._lastMouseY = touch.clientY;
+            this._updatePerspective();
+            if (e.touches.length === 2 && this._startPinch(e.touches)) {
+                // 双指缩放时不再拖拽翻转
+                this._cancelDrag();
+                this._pan = null;
+            } else if (e.touches.length === 1 && !this._startPan(touch.clientX, touch.clientY)) {
+                this._startDrag(touch.clientX, touch.clientY);
+            }
+        }, { passive: false });
+        frameEl.addEventListener('touchmove', (e) => {
+            if (!this._isTouching || this.isAnimating) return;
+            const touch = e.touches[0];
+            if (this._pinch) {
+                this._movePinch(e);
+                return;
+            }
+            if (this._pan) {
+                this._movePan(touch.clientX, touch.clientY, e);
+                return;
+            }
+            this._moveDrag(touch.clientX, touch.clientY, e);
+            updatePointer(touch.clientX, touch.clientY);
+        }, { passive: false });
+        frameEl.addEventListener('touchend', (e) => {
+            const tapped = !this._drag?.active && !this._pan?.moved && !this._pinch && e.touches.length === 0;
+            this._endDrag();
+            this._endPan();
+            if (e.touches.length < 2) this._pinch = null;
+            if (tapped) this._handleTap(e.changedTouches[0], e);
+            this._isTouching = false;
+            this._lastMouseX = undefined;
+            this._lastMouseY = undefined;
+            this._updatePerspective();
+        });
+        frameEl.addEventListener('wheel', (e) => {
+            const areaInfo = this._getZoomArea(e.target);
+            // 未放大时向下滚动交给页面
+            if (!areaInfo || (!this._zoom && e.deltaY >= 0)) return;
+            e.preventDefault();
+            const scale = this._zoom?.areaInfo === areaInfo ? this._zoom.scale : 1;
+            this._zoomAt(areaInfo, scale * Math.exp(-e.deltaY * ZOOM_WHEEL_SPEED), e.clientX, e.clientY);
+        }, { passive: false });
+        frameEl.addEventListener('dblclick', (e) => {
+            const areaInfo = this._getZoomArea(e.target);
+            if (!areaInfo || performance.now() < this._suppressDblClickUntil) return;
+            e.preventDefault();
+            this._toggleZoom(areaInfo, e.clientX, e.clientY);
+        });
+    }
+
+    /**
+     * 是否启用拖拽翻转
+     * @private
+     */
+    _isDragFlipEnabled() {
+        // 多面卡片的翻页不跟随拖拽
+        return this.isInitialized && this.options?.dragToFlip !== false && !this.parsedConfig?.multiFace &&
+            !this._prefersReducedMotion();
+    }
 
-        // 使用设计尺寸（未缩放前的原始尺寸）
-        const width = this._parseDimension(areaConfig.width, sideDimensions.width);
-        const height = this._parseDimension(areaConfig.height, sideDimensions.height);
+    /**
+     * 记录拖拽起点（尚未进入拖拽状态，移动超过阈值后才开始跟随）
+     * @private
+     * @returns {boolean} 是否开始跟踪
+     */
+    _startDrag(x, y) {
+        if (this.isAnimating || this._zoom || !this._isDragFlipEnabled()) return false;
+        this._drag = {
+            startX: x,
+            startY: y,
+            active: false,
+            angle: 0,
+            baseAngle: 0,
+            samples: [{ x, t: performance.now() }]
+        };
+        return true;
+    }
 
-        // 计算字体大小：优先使用 theme 指定的 fontSize，否则按 realpic 宽度的 2.5%
-        const fontSizeValue = areaConfig.style?.fontSize;
-        let fontSize;
-        if (fontSizeValue) {
-            fontSize = typeof fontSizeValue === 'string' ? parseFloat(fontSizeValue) || realpicRange * DEFAULT_FONT_SCALE : fontSizeValue;
+    /**
+     * 拖拽移动：水平移动超过阈值后，翻转器跟随指针旋转
+     * @private
+     */
+    _moveDrag(x, y, e) {
+        const drag = this._drag;
+        if (!drag) return;
+
+        // 沿翻转方向的位移：绕 y 轴时为水平拖动，绕 x 轴时为垂直拖动（向下拖动时上边缘朝向观看者）
+        const vertical = this._getFlipConfig().axis === 'x';
+        const dx = vertical ? drag.startY - y : x - drag.startX;
+        const dy = vertical ? x - drag.startX : y - drag.startY;
+
+        if (!drag.active) {
+            // 以另一方向为主的移动交给页面滚动，不再跟踪
+            if (Math.abs(dy) > DRAG_FLIP_THRESHOLD && Math.abs(dy) > Math.abs(dx)) {
+                this._cancelDrag();
+                return;
+            }
+            if (Math.abs(dx) < DRAG_FLIP_THRESHOLD) return;
+
+            drag.active = true;
+            drag.baseAngle = this._flipAngle;
+            this.flipper.style.transition = 'none';
+            this._applyTilt(0, 0);
+            this.rootElement.classList.add('realpic-dragging');
+        }
+
+        if (e?.cancelable) e.preventDefault();
+
+        const now = performance.now();
+        drag.samples.push({ x: dx, t: now });
+        drag.samples = drag.samples.filter(sample => now - sample.t <= DRAG_VELOCITY_WINDOW);
+
+        // 拖过整个卡片宽度（绕 x 轴时为高度）= 翻转 180°
+        const rect = this.perspectiveWrapper.getBoundingClientRect();
+        const size = (vertical ? rect.height : rect.width) || 1;
+        drag.angle = drag.baseAngle + dx / size * 180;
+        this._setFlipAngle(drag.angle, false);
+    }
+
+    /**
+     * 结束拖拽：就近停靠到某一面，或根据松手速度顺势翻到下一面
+     * @private
+     */
+    _endDrag() {
+        const drag = this._drag;
+        this._cancelDrag();
+        if (!drag?.active) return;
+
+        // 拖拽结束时浏览器仍会派发 click，需忽略以免触发点击翻转/关闭
+        this._suppressClickUntil = performance.now() + 300;
+
+        const first = drag.samples[0];
+        const last = drag.samples[drag.samples.length - 1];
+        const velocity = last && first && last.t > first.t ? (last.x - first.x) / (last.t - first.t) : 0;
+
+        let targetAngle;
+        if (velocity > DRAG_FLIP_VELOCITY) {
+            targetAngle = Math.floor(drag.angle / 180) * 180 + 180;
+        } else if (velocity < -DRAG_FLIP_VELOCITY) {
+            targetAngle = Math.ceil(drag.angle / 180) * 180 - 180;
         } else {
-            fontSize = realpicRange * DEFAULT_FONT_SCALE;
+            targetAngle = Math.round(drag.angle / 180) * 180;
+        }
+
+        const flipped = Math.abs(targetAngle / 180) % 2 === 1;
+        const changed = flipped !== this.isFlipped;
+
+        this.isAnimating = true;
+        this.flipper.style.transition = '';
+        this._setFlipAngle(targetAngle);
+
+        if (changed) {
+            this.isFlipped = flipped;
+            this.currentFace = flipped ? 'back' : 'front';
+            this.rootElement.classList.toggle('realpic-flipped', flipped);
+            this._emit('flipstart', { side: flipped ? 'back' : 'front', from: flipped ? 'front' : 'back' });
+            this._syncFaceState(true);
+            this._syncMediaPlayback();
+        }
+
+        this._flipTimer = setTimeout(() => {
+            this._flipTimer = null;
+            this._normalizeFlipAngle();
+            this.rootElement.classList.remove('realpic-dragging');
+            this.isAnimating = false;
+            if (changed) this._emit('flipend', { side: flipped ? 'back' : 'front' });
+        }, this._getFlipConfig().duration);
+    }
+
+    /**
+     * 停止跟踪拖拽
+     * @private
+     */
+    _cancelDrag() {
+        this._drag = null;
+        window.removeEventListener('mousemove', this._boundDragMouseMove);
+        window.removeEventListener('mouseup', this._boundDragMouseUp);
+    }
+
+    /**
+     * 是否处于放大查看状态
+     * @returns {boolean}
+     */
+    isZoomed() {
+        return this._zoom !== null;
+    }
+
+    /**
+     * 取消放大，恢复图片原始布局
+     */
+    resetZoom() {
+        const zoom = this._zoom;
+        if (!zoom) return;
+
+        this._zoom = null;
+        this._pan = null;
+        this._pinch = null;
+        window.removeEventListener('mousemove', this._boundPanMouseMove);
+        window.removeEventListener('mouseup', this._boundPanMouseUp);
+        zoom.img.style.transform = '';
+        zoom.img.style.transformOrigin = '';
+        this.rootElement.classList.remove('realpic-zoomed', 'realpic-panning');
+        this._emit('zoom', { area: zoom.areaInfo.config.area, side: zoom.areaInfo.side, scale: 1 });
+    }
+
+    /**
+     * 缩放功能是否启用
+     * @private
+     */
+    _isZoomEnabled() {
+        return this.isInitialized && this.options?.zoom === true;
+    }
+
+    /**
+     * 获取可缩放的图片区域（当前朝向观看者一面的图片内容）
+     * @private
+     */
+    _getZoomArea(target) {
+        if (!this._isZoomEnabled() || this.isAnimating) return null;
+        const areaEl = target.closest?.('.realpic-content-area');
+        const areaInfo = areaEl && [...this.contentAreas.values()].find(info => info.element === areaEl);
+        return areaInfo?.content?.type === 'image' && areaInfo.side === this.currentFace ? areaInfo : null;
+    }
+
+    /**
+     * 将屏幕坐标换算为区域内坐标（区域所在的框架可能被缩放）
+     * @private
+     */
+    _toAreaPoint(areaEl, clientX, clientY) {
+        const rect = areaEl.getBoundingClientRect();
+        const ratio = areaEl.offsetWidth / (rect.width || 1);
+        return {
+            x: clientX === undefined ? areaEl.offsetWidth / 2 : (clientX - rect.left) * ratio,
+            y: clientY === undefined ? areaEl.offsetHeight / 2 : (clientY - rect.top) * ratio,
+            ratio
+        };
+    }
+
+    /**
+     * 以指定点为中心缩放区域内的图片
+     * @private
+     * @param {Object} areaInfo - 区域信息
+     * @param {number} scale - 目标倍数（1 ~ maxZoom，不大于 1 时取消放大）
+     * @param {number} [clientX] - 缩放中心（屏幕坐标，默认为区域中心）
+     * @param {number} [clientY]
+     */
+    _zoomAt(areaInfo, scale, clientX, clientY) {
+        const img = areaInfo.element.querySelector('img');
+        if (!img) return;
+
+        if (this._zoom && this._zoom.areaInfo !== areaInfo) this.resetZoom();
+        const maxZoom = this.options.maxZoom ?? ZOOM_MAX;
+        scale = Math.min(Math.max(scale, 1), maxZoom);
+        if (scale <= 1) {
+            this.resetZoom();
+            return;
+        }
+
+        const zoom = this._zoom || { areaInfo, img, scale: 1, x: 0, y: 0 };
+        const point = this._toAreaPoint(areaInfo.element, clientX, clientY);
+        // 保持缩放中心下的图像位置不变
+        zoom.x = point.x - (point.x - zoom.x) * scale / zoom.scale;
+        zoom.y = point.y - (point.y - zoom.y) * scale / zoom.scale;
+        zoom.scale = scale;
+
+        if (!this._zoom) {
+            this._zoom = zoom;
+            this._applyTilt(0, 0);
+            this.rootElement.classList.add('realpic-zoomed');
+            this._loadFullResolution(zoom);
+        }
+        this._applyZoom();
+        this._emit('zoom', { area: areaInfo.config.area, side: areaInfo.side, scale });
+    }
+
+    /**
+     * 双击切换放大 / 还原
+     * @private
+     */
+    _toggleZoom(areaInfo, clientX, clientY) {
+        const img = areaInfo.element.querySelector('img');
+        if (!img) return;
+
+        // 双击时过渡到目标倍数，滚轮和拖动时直接跟随
+        if (!this._prefersReducedMotion()) {
+            img.style.transition = 'transform 0.25s ease';
+            setTimeout(() => { img.style.transition = ''; }, 250);
+        }
+        if (this._zoom) {
+            this.resetZoom();
+        } else {
+            this._zoomAt(areaInfo, Math.min(ZOOM_TOGGLE_SCALE, this.options.maxZoom ?? ZOOM_MAX), clientX, clientY);
+        }
+    }
+
+    /**
+     * 限制平移范围并应用缩放变换（图片始终覆盖区域，不露出区域外的内容）
+     * @private
+     */
+    _applyZoom() {
+        const zoom = this._zoom;
+        if (!zoom) return;
+
+        const areaEl = zoom.areaInfo.element;
+        zoom.x = Math.min(0, Math.max(zoom.x, areaEl.offsetWidth * (1 - zoom.scale)));
+        zoom.y = Math.min(0, Math.max(zoom.y, areaEl.offsetHeight * (1 - zoom.scale)));
+        zoom.img.style.transformOrigin = '0 0';
+        zoom.img.style.transform = `translate(${zoom.x}px, ${zoom.y}px) scale(${zoom.scale})`;
+    }
+
+    /**
+     * 放大时换用原图（内容的 fullSrc），加载完成后替换
+     * @private
+     */
+    _loadFullResolution(zoom) {
+        const fullSrc = zoom.areaInfo.content?.fullSrc;
+        if (!fullSrc || zoom.img.dataset.fullSrc === fullSrc) return;
+
+        resourceLoader.loadImage(fullSrc).then(info => {
+            if (!info || !zoom.img.isConnected) return;
+            zoom.img.src = fullSrc;
+            zoom.img.dataset.fullSrc = fullSrc;
+        });
+    }
+
+    /**
+     * 放大状态下开始拖动平移
+     * @private
+     * @returns {boolean} 是否开始平移
+     */
+    _startPan(x, y) {
+        if (!this._zoom || this.isAnimating) return false;
+        this._pan = { startX: x, startY: y, originX: this._zoom.x, originY: this._zoom.y, moved: false };
+        this.rootElement.classList.add('realpic-panning');
+        return true;
+    }
+
+    /**
+     * 拖动平移
+     * @private
+     */
+    _movePan(x, y, e) {
+        const pan = this._pan;
+        const zoom = this._zoom;
+        if (!pan || !zoom) return;
+
+        const dx = x - pan.startX;
+        const dy = y - pan.startY;
+        if (Math.abs(dx) > ZOOM_PAN_THRESHOLD || Math.abs(dy) > ZOOM_PAN_THRESHOLD) pan.moved = true;
+        if (e?.cancelable) e.preventDefault();
+
+        const { ratio } = this._toAreaPoint(zoom.areaInfo.element);
+        zoom.x = pan.originX + dx * ratio;
+        zoom.y = pan.originY + dy * ratio;
+        this._applyZoom();
+    }
+
+    /**
+     * 结束平移
+     * @private
+     */
+    _endPan() {
+        const pan = this._pan;
+        this._pan = null;
+        window.removeEventListener('mousemove', this._boundPanMouseMove);
+        window.removeEventListener('mouseup', this._boundPanMouseUp);
+        this.rootElement.classList.remove('realpic-panning');
+        // 拖动后浏览器仍会派发 click，需忽略以免触发点击翻转/关闭
+        if (pan?.moved) this._suppressClickUntil = performance.now() + 300;
+    }
+
+    /**
+     * 开始双指缩放
+     * @private
+     * @returns {boolean} 是否开始缩放
+     */
+    _startPinch(touches) {
+        const areaInfo = this._getZoomArea(touches[0].target);
+        if (!areaInfo) return false;
+        this._pinch = {
+            areaInfo,
+            distance: Math.hypot(touches[1].clientX - touches[0].clientX, touches[1].clientY - touches[0].clientY) || 1,
+            scale: this._zoom?.areaInfo === areaInfo ? this._zoom.scale : 1
+        };
+        return true;
+    }
+
+    /**
+     * 双指缩放：按两指距离的变化缩放，以两指中点为中心
+     * @private
+     */
+    _movePinch(e) {
+        const pinch = this._pinch;
+        if (e.touches.length < 2) return;
+        if (e.cancelable) e.preventDefault();
+
+        const [a, b] = e.touches;
+        const distance = Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY);
+        this._zoomAt(pinch.areaInfo, pinch.scale * distance / pinch.distance,
+            (a.clientX + b.clientX) / 2, (a.clientY + b.clientY) / 2);
+    }
+
+    /**
+     * 轻触：两次轻触间隔足够短时切换缩放
+     * @private
+     */
+    _handleTap(touch, e) {
+        const now = performance.now();
+        const last = this._lastTap;
+        this._lastTap = { x: touch.clientX, y: touch.clientY, t: now };
+        if (!last || now - last.t > DOUBLE_TAP_INTERVAL ||
+            Math.hypot(touch.clientX - last.x, touch.clientY - last.y) > DOUBLE_TAP_DISTANCE) {
+            return;
+        }
+
+        const areaInfo = this._getZoomArea(e.target);
+        if (!areaInfo) return;
+        this._lastTap = null;
+        // 第二次轻触的 click 和浏览器补发的 dblclick 都不应再触发翻转或二次切换
+        this._suppressClickUntil = now + 300;
+        this._suppressDblClickUntil = now + 500;
+        if (e.cancelable) e.preventDefault();
+        this._toggleZoom(areaInfo, touch.clientX, touch.clientY);
+    }
+
+    /**
+     * 更新透视效果
+     * @private
+     */
+    _updatePerspective() {
+        // 放大查看时暂停倾斜，避免平移时画面晃动；仅使用陀螺仪时忽略指针
+        if (this.isAnimating || this._zoom || this._lastMouseX === undefined) return;
+        if (this._getTiltSource() === 'orientation') return;
+
+        // 使用 realpic-viewport 计算偏移
+        const rect = this.perspectiveWrapper.getBoundingClientRect();
+        const centerX = rect.left + rect.width / 2;
+        const centerY = rect.top + rect.height / 2;
+
+        // 计算相对于中心的偏移比例（-1 到 1）
+        const offsetX = (this._lastMouseX - centerX) / (rect.width / 2);
+        const offsetY = (centerY - this._lastMouseY) / (rect.height / 2);
+
+        // 根据设备类型选择最大旋转角度
+        const maxRotation = this._isTouching ? PERSPECTIVE_MAX_ROTATION_MOBILE : PERSPECTIVE_MAX_ROTATION;
+
+        this._applyTilt(offsetX, offsetY, maxRotation);
+    }
+
+    /**
+     * 设置卡片倾斜（陀螺仪、外部动画等编程输入），与指针驱动的倾斜效果一致
+     * @param {number} x - 水平偏移，-1（左）到 1（右）
+     * @param {number} y - 垂直偏移，-1（下）到 1（上）
+     */
+    setTilt(x, y) {
+        if (!this.isInitialized || this.isAnimating || this._zoom || this._drag?.active) return;
+        const clamp = value => Math.min(Math.max(Number(value) || 0, -1), 1);
+        this._applyTilt(clamp(x), clamp(y));
+    }
+
+    /**
+     * 是否处于待机展示状态（idle 选项）
+     * @returns {boolean}
+     */
+    isIdle() {
+        return this._idle !== null;
+    }
+
+    /**
+     * 规范化 idle 选项
+     * @private
+     * @returns {Object|null} 未开启时为 null
+     */
+    _getIdleOptions() {
+        const idle = this.options?.idle;
+        if (!idle) return null;
+        const value = isPlainObject(idle) ? idle : {};
+        const positive = (number, fallback) => Number.isFinite(number) && number > 0 ? number : fallback;
+        return {
+            delay: Number.isFinite(value.delay) && value.delay >= 0 ? value.delay : IDLE_DELAY,
+            sway: value.sway ?? true,
+            amplitude: Math.min(Math.max(value.amplitude ?? IDLE_AMPLITUDE, 0), 1),
+            period: positive(value.period, IDLE_PERIOD),
+            flipEvery: positive(value.flipEvery, 0),
+            repeat: value.repeat !== false
+        };
+    }
+
+    /**
+     * 按 idle 选项监听用户输入并安排进入待机
+     * @private
+     */
+    _syncIdle() {
+        const enabled = this._getIdleOptions() !== null;
+        this._toggleIdleListeners(enabled);
+        if (!enabled) {
+            this._stopIdle();
+            clearTimeout(this._idleTimer);
+            this._idleTimer = null;
+        } else if (!this._idle && !this._idleTimer) {
+            this._scheduleIdle();
+        }
+    }
+
+    /**
+     * 在整个页面上监听真实的指针和键盘输入
+     * @private
+     */
+    _toggleIdleListeners(enabled) {
+        if (enabled === this._idleListening) return;
+        this._idleListening = enabled;
+        IDLE_INPUT_EVENTS.forEach(type => {
+            if (enabled) {
+                document.addEventListener(type, this._boundIdleInput, { capture: true, passive: true });
+            } else {
+                document.removeEventListener(type, this._boundIdleInput, { capture: true });
+            }
+        });
+    }
+
+    /**
+     * 重新开始无操作计时
+     * @private
+     */
+    _scheduleIdle() {
+        const idle = this._getIdleOptions();
+        clearTimeout(this._idleTimer);
+        this._idleTimer = idle ? setTimeout(() => {
+            this._idleTimer = null;
+            this._startIdle();
+        }, idle.delay * 1000) : null;
+    }
+
+    /**
+     * 用户输入：立即退出待机并重新计时（忽略脚本派发的事件）
+     * @private
+     */
+    _handleIdleInput(e) {
+        if (!e.isTrusted) return;
+        this._stopIdle();
+        this._scheduleIdle();
+    }
+
+    /**
+     * 进入待机：开始摇摆和定时翻转
+     * @private
+     */
+    _startIdle() {
+        const idle = this._getIdleOptions();
+        if (!idle || this._idle || !this.isInitialized || this.rootElement.classList.contains('realpic-hidden')) return;
+
+        this._idle = { start: performance.now(), sides: new Set([this.currentFace]) };
+        this.rootElement.classList.add('realpic-idle');
+        if (idle.sway) {
+            this._idleRaf = requestAnimationFrame(this._boundIdleFrame);
+        }
+        if (idle.flipEvery > 0) {
+            this._idleFlipTimer = setInterval(() => this._idleFlip(), idle.flipEvery * 1000);
         }
+        this._emit('idlestart', {});
+    }
+
+    /**
+     * 退出待机，卡片回到静止姿态
+     * @private
+     */
+    _stopIdle() {
+        if (!this._idle) return;
+        this._idle = null;
+        cancelAnimationFrame(this._idleRaf);
+        clearInterval(this._idleFlipTimer);
+        this._idleRaf = null;
+        this._idleFlipTimer = null;
+        this.rootElement.classList.remove('realpic-idle');
+        if (!this.isAnimating && !this._drag?.active && !this._zoom) this._applyTilt(0, 0);
+        this._emit('idleend', {});
+    }
+
+    /**
+     * 待机摇摆的一帧：主题定义了 idle.path 时沿路径移动（sway: 'theme'），否则为李萨如曲线（sway: 'lissajous'）
+     * @private
+     */
+    _idleFrame(now) {
+        if (!this._idle) return;
+        this._idleRaf = requestAnimationFrame(this._boundIdleFrame);
+        if (this.isAnimating || this._zoom || this._drag?.active) return;
 
-        // 解析位置为 flex 对齐值
-        const alignMap = {
-            top: ['flex-start', 'center', 'center'],
-            bottom: ['flex-end', 'center', 'center'],
-            left: ['center', 'flex-start', 'left'],
-            right: ['center', 'flex-end', 'right'],
-            center: ['center', 'center', 'center']
-        };
-        const [alignItems, justifyContent, textAlign] = alignMap[areaConfig.position || 'center'];
+        const idle = this._getIdleOptions();
+        const elapsed = now - this._idle.start;
+        const themePath = idle.sway !== 'lissajous' ? this.parsedConfig?.idle : null;
+        const [x, y] = themePath
+            ? this._sampleIdlePath(themePath, elapsed / 1000)
+            : this._sampleLissajous(elapsed / 1000 / idle.period);
+        const amplitude = idle.amplitude * Math.min(elapsed / IDLE_RAMP, 1);
+        this._applyTilt(x * amplitude, y * amplitude);
+    }
 
-        const htmlContent = await parseLightMD(contentData.content || '');
+    /**
+     * 李萨如曲线（频率比 1:2，即横向的 8 字形）
+     * @private
+     * @param {number} phase - 周期数
+     */
+    _sampleLissajous(phase) {
+        const angle = phase * 2 * Math.PI;
+        return [Math.sin(angle), Math.sin(angle * 2) * 0.5];
+    }
 
-        areaEl.innerHTML = `
-            <svg viewBox="0 0 ${width} ${height}" 
-                 preserveAspectRatio="xMidYMid meet"
-                 width="100%" height="100%"
-                 style="display: block;">
-                <foreignObject width="${width}" height="${height}">
-                    <div xmlns="http://www.w3.org/1999/xhtml" 
-                         class="realpic-text-content"
-                         style="width: ${width}px; height: ${height}px; overflow: hidden; display: flex; align-items: ${alignItems}; justify-content: ${justifyContent}; font-size: ${fontSize}px;">
-                        <div style="width: 100%; text-align: ${textAlign};">${htmlContent}</div>
-                    </div>
-                </foreignObject>
-            </svg>
-        `;
-        // <div style="width: 100%; text-align: ${textAlign};">${htmlContent}</div>
+    /**
+     * 在主题的闭合路径上按时间取点（相邻点之间缓动插值）
+     * @private
+     */
+    _sampleIdlePath({ path, duration }, seconds) {
+        const position = (seconds / duration % 1) * path.length;
+        const index = Math.floor(position);
+        const from = path[index];
+        const to = path[(index + 1) % path.length];
+        const t = (1 - Math.cos((position - index) * Math.PI)) / 2;
+        return [from[0] + (to[0] - from[0]) * t, from[1] + (to[1] - from[1]) * t];
     }
 
     /**
-     * 创建 DOM 结构
+     * 待机定时翻转：各面都展示过后派发 idlecycle；repeat 为 false 时这一次不再翻转，交由调用方处理（如查看器切换下一张）
      * @private
      */
-    _createDOM() {
-        this.container.innerHTML = '';
-        this.container.classList.add('realpic-mount-point');
+    _idleFlip() {
+        const idle = this._getIdleOptions();
+        if (!this._idle || !idle || this.isAnimating) return;
 
-        // 根容器
-        this.rootElement = document.createElement('div');
-        this.rootElement.className = 'realpic-root realpic-hidden';
+        const sides = this._idle.sides;
+        if (this.getFaces().every(face => sides.has(face))) {
+            this._idle.sides = new Set([this.currentFace]);
+            this._emit('idlecycle', {});
+            if (!idle.repeat) return;
+        }
+        this.flip();
+        this._idle?.sides.add(this.currentFace);
+    }
 
-        // 透视旋转层
-        this.perspectiveWrapper = document.createElement('div');
-        this.perspectiveWrapper.className = 'realpic-viewport';
+    /**
+     * 输入设备姿态（deviceorientation 事件或手动构造的数据），按相对中立姿态的偏移倾斜卡片
+     * 需 tiltSource 为 orientation 或 both；可在桌面端手动调用以测试
+     * @param {{beta: number, gamma: number}} orientation - 前后倾角 beta 与左右倾角 gamma（度）
+     */
+    feedOrientation({ beta, gamma } = {}) {
+        if (!this.isInitialized || this._getTiltSource() === 'pointer') return;
+        if (!Number.isFinite(beta) || !Number.isFinite(gamma)) return;
 
-        // 翻转器
-        this.flipper = document.createElement('div');
-        this.flipper.className = 'realpic-flipper';
+        // 首个读数作为中立姿态
+        const base = this._orientationBase ??= { beta, gamma };
 
-        // 正面
-        this.frontElement = document.createElement('div');
-        this.frontElement.className = 'realpic-front';
-        this.frontFrame = document.createElement('div');
-        this.frontFrame.className = 'realpic-frame';
-        this.frontElement.appendChild(this.frontFrame);
+        // 按屏幕方向换算到屏幕坐标系：竖屏时 gamma 对应左右，beta 对应上下
+        const dBeta = (beta - base.beta) / ORIENTATION_RANGE;
+        const dGamma = (gamma - base.gamma) / ORIENTATION_RANGE;
+        const angle = window.screen?.orientation?.angle ?? 0;
+        const [x, y] = {
+            90: [-dBeta, -dGamma],
+            180: [-dGamma, dBeta],
+            270: [dBeta, dGamma]
+        }[angle] ?? [dGamma, -dBeta];
 
-        // 背面
-        this.backElement = document.createElement('div');
-        this.backElement.className = 'realpic-back';
-        this.backFrame = document.createElement('div');
-        this.backFrame.className = 'realpic-frame';
-        this.backElement.appendChild(this.backFrame);
+        // 指针（鼠标悬停或触摸中）优先
+        if (this._lastMouseX !== undefined && this._getTiltSource() === 'both') return;
+        if (this.isAnimating || this._zoom || this._drag?.active || this._idle) return;
+        const clamp = value => Math.min(Math.max(value, -1), 1);
+        this._applyTilt(clamp(x), clamp(y), PERSPECTIVE_MAX_ROTATION_MOBILE);
+    }
 
-        // 组装
-        this.flipper.appendChild(this.frontElement);
-        this.flipper.appendChild(this.backElement);
-        this.perspectiveWrapper.appendChild(this.flipper);
-        this.rootElement.appendChild(this.perspectiveWrapper);
-        this.container.appendChild(this.rootElement);
+    /**
+     * 重新校准陀螺仪中立姿态：下一个读数成为新的中立姿态（如用户换了持握姿势）
+     */
+    recalibrateOrientation() {
+        this._orientationBase = null;
+    }
 
-        // 绑定事件
-        this._bindFrameEvents(this.frontFrame);
-        this._bindFrameEvents(this.backFrame);
-        this.rootElement.addEventListener('click', (e) => {
-            const link = e.target.closest('a');
-            if (link) e.stopPropagation();
-        });
+    /**
+     * 当前的倾斜输入来源
+     * @private
+     */
+    _getTiltSource() {
+        const source = this.options?.tiltSource;
+        return TILT_SOURCES.includes(source) ? source : 'pointer';
     }
 
     /**
-     * 绑定单个 frame 的事件
+     * 按 tiltSource 监听或停止监听 deviceorientation
+     * iOS 需在用户操作中请求权限：首次点击卡片时请求，获准后开始监听
      * @private
      */
-    _bindFrameEvents(frameEl) {
-        // 更新坐标并调度透视更新
-        const updatePointer = (x, y) => {
-            if (this.isAnimating) return;
-            this._lastMouseX = x;
-            this._lastMouseY = y;
-            if (!this._rafPending) {
-                this._rafPending = true;
-                this.rafId = requestAnimationFrame(() => {
-                    this._rafPending = false;
-                    this._updatePerspective();
-                });
-            }
-        };
+    _syncOrientationListener() {
+        const enabled = this._getTiltSource() !== 'pointer';
+        if (!enabled) {
+            this._stopOrientationListener();
+            return;
+        }
+        if (this._orientationListening || typeof window.DeviceOrientationEvent === 'undefined') return;
 
-        frameEl.addEventListener('mousemove', (e) => updatePointer(e.clientX, e.clientY));
-        frameEl.addEventListener('mouseleave', () => {
-            this._lastMouseX = undefined;
-            this._lastMouseY = undefined;
-            this._updatePerspective();
-        });
-        frameEl.addEventListener('touchstart', (e) => {
-            if (this.isAnimating) return;
-            const touch = e.touches[0];
-            this._isTouching = true;
-            this._lastMouseX = touch.clientX;
-            this._lastMouseY = touch.clientY;
-            this._updatePerspective();
-        }, { passive: false });
-        frameEl.addEventListener('touchmove', (e) => {
-            if (!this._isTouching || this.isAnimating) return;
-            const touch = e.touches[0];
-            updatePointer(touch.clientX, touch.clientY);
-        }, { passive: false });
-        frameEl.addEventListener('touchend', () => {
-            this._isTouching = false;
-            this._lastMouseX = undefined;
-            this._lastMouseY = undefined;
-            this._updatePerspective();
-        });
+        if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+            this.rootElement.addEventListener('click', this._boundOrientationPermission, { once: true });
+        } else {
+            this._startOrientationListener();
+        }
     }
 
     /**
-     * 更新透视效果
+     * 请求陀螺仪权限（iOS 13+）
      * @private
      */
-    _updatePerspective() {
-        if (this.isAnimating || this._lastMouseX === undefined) return;
-
-        // 使用 realpic-viewport 计算偏移
-        const rect = this.perspectiveWrapper.getBoundingClientRect();
-        const centerX = rect.left + rect.width / 2;
-        const centerY = rect.top + rect.height / 2;
+    async _requestOrientationPermission() {
+        try {
+            const state = await DeviceOrientationEvent.requestPermission();
+            if (state === 'granted' && this._getTiltSource() !== 'pointer') {
+                this._startOrientationListener();
+            }
+        } catch (error) {
+            console.warn('RealPic: 无法获取陀螺仪权限:', error);
+        }
+    }
 
-        // 计算相对于中心的偏移比例（-1 到 1）
-        const offsetX = (this._lastMouseX - centerX) / (rect.width / 2);
-        const offsetY = (centerY - this._lastMouseY) / (rect.height / 2);
+    /**
+     * @private
+     */
+    _startOrientationListener() {
+        if (this._orientationListening) return;
+        this._orientationListening = true;
+        this._orientationBase = null;
+        window.addEventListener('deviceorientation', this._boundOrientationHandler);
+    }
 
-        // 根据设备类型选择最大旋转角度
-        const maxRotation = this._isTouching ? PERSPECTIVE_MAX_ROTATION_MOBILE : PERSPECTIVE_MAX_ROTATION;
+    /**
+     * @private
+     */
+    _stopOrientationListener() {
+        this.rootElement?.removeEventListener('click', this._boundOrientationPermission);
+        if (!this._orientationListening) return;
+        this._orientationListening = false;
+        window.removeEventListener('deviceorientation', this._boundOrientationHandler);
+    }
 
-        // 基于偏移比例计算旋转角度
-        const rotateX = offsetY * maxRotation;
-        const rotateY = offsetX * maxRotation;
+    /**
+     * 按偏移比例旋转视口，并移动表面光照
+     * @private
+     * @param {number} offsetX - 水平偏移（-1 到 1）
+     * @param {number} offsetY - 垂直偏移（-1 到 1，向上为正）
+     * @param {number} [maxRotation] - 最大旋转角度
+     */
+    _applyTilt(offsetX, offsetY, maxRotation = PERSPECTIVE_MAX_ROTATION) {
+        // 减少动态效果时不旋转，光照仍随输入移动
+        if (!this._prefersReducedMotion()) {
+            this.perspectiveWrapper.style.transform =
+                `rotateX(${offsetY * maxRotation}deg) rotateY(${offsetX * maxRotation}deg) translateZ(0)`;
+        }
 
-        this.perspectiveWrapper.style.transform = 
-            `rotateX(${rotateX}deg) rotateY(${rotateY}deg) translateZ(0)`;
+        // 高光位于指针一侧；背面绕翻转轴转过 180°，该方向上坐标相反
+        const x = 50 + offsetX * 50;
+        const y = 50 - offsetY * 50;
+        const vertical = this._getFlipConfig().axis === 'x';
+        const strength = LIGHTING_REST_STRENGTH + (1 - LIGHTING_REST_STRENGTH) * Math.min(Math.hypot(offsetX, offsetY), 1);
+        const style = this.rootElement.style;
+        style.setProperty('--realpic-light-x', `${x}%`);
+        style.setProperty('--realpic-light-x-back', `${vertical ? x : 100 - x}%`);
+        style.setProperty('--realpic-light-y', `${y}%`);
+        style.setProperty('--realpic-light-y-back', `${vertical ? 100 - y : y}%`);
+        style.setProperty('--realpic-light-strength', strength.toFixed(3));
     }
 
 
     /**
-     * 翻转
+     * 翻转（多面卡片按 flip.direction 翻到相邻的面，见 _flipFace）
      */
     flip() {
         if (this.isAnimating) return;
+        if (this.parsedConfig?.multiFace) {
+            this._flipFace();
+            return;
+        }
+        this.resetZoom();
 
         this.isAnimating = true;
         this.isFlipped = !this.isFlipped;
+        const side = this.isFlipped ? 'back' : 'front';
+        this.currentFace = side;
+        this._emit('flipstart', { side, from: this.isFlipped ? 'front' : 'back' });
+
+        this._applyTilt(0, 0);
 
-        this.perspectiveWrapper.style.transform = 'rotateX(0) rotateY(0) translateZ(0)';
+        // alternate 翻到背面为 +180°、翻回为 -180°；forward / backward 始终沿同一方向继续转
+        const { direction, duration } = this._getFlipConfig();
+        const step = direction === 'forward' ? 180
+            : direction === 'backward' ? -180
+            : this.isFlipped ? 180 : -180;
+        this._setFlipAngle(this._flipAngle + step);
 
         if (this.isFlipped) {
             this.rootElement.classList.add('realpic-flipped');
         } else {
             this.rootElement.classList.remove('realpic-flipped');
         }
+        this._syncFaceState(true);
+        this._syncMediaPlayback();
+
+        this._flipTimer = setTimeout(() => {
+            this._flipTimer = null;
+            this._normalizeFlipAngle();
+            this.isAnimating = false;
+            this._emit('flipend', { side });
+        }, duration);
+    }
+
+    /**
+     * 取消进行中的翻转：清除结束计时器并结束动画状态（不派发 flipend）
+     * @private
+     */
+    _cancelFlip() {
+        if (!this._flipTimer) return;
+        clearTimeout(this._flipTimer);
+        this._flipTimer = null;
+        this.isAnimating = false;
+        this.rootElement?.classList.remove('realpic-dragging');
+    }
+
+    /**
+     * 多面卡片的 flip()：按 flip.direction 选择目标面
+     * - alternate：逐面向后翻，到最后一面后逐面翻回第一面，往复进行
+     * - forward：逐面向后翻，最后一面之后所有页一起翻回第一面
+     * - backward：逐面向前翻，第一面之后所有页一起翻到最后一面
+     * @private
+     */
+    _flipFace() {
+        const faces = this.getFaces();
+        const last = faces.length - 1;
+        const index = faces.indexOf(this.currentFace);
+        const { direction } = this._getFlipConfig();
+
+        let target;
+        if (direction === 'forward') {
+            target = index < last ? index + 1 : 0;
+        } else if (direction === 'backward') {
+            target = index > 0 ? index - 1 : last;
+        } else {
+            if (index >= last) this._faceStep = -1;
+            else if (index <= 0) this._faceStep = 1;
+            target = index + this._faceStep;
+        }
+        this.goTo(target);
+    }
+
+    /**
+     * 获取卡片的各面 id（按顺序），双面主题为 ['front', 'back']
+     * @returns {Array<string>}
+     */
+    getFaces() {
+        return [...(this.parsedConfig?.faces ?? SIDE_NAMES)];
+    }
+
+    /**
+     * 翻到下一面（已是最后一面时不翻转）
+     * @returns {boolean} 是否开始翻转
+     */
+    next() {
+        return this.goTo(this.getFaces().indexOf(this.currentFace) + 1, { quiet: true });
+    }
+
+    /**
+     * 翻回上一面（已是第一面时不翻转）
+     * @returns {boolean} 是否开始翻转
+     */
+    prev() {
+        return this.goTo(this.getFaces().indexOf(this.currentFace) - 1, { quiet: true });
+    }
+
+    /**
+     * 翻到指定的面：双面主题等同于 flip()，多面主题中间的各面一并翻过（或翻回）
+     * @param {string|number} face - 面 id 或下标
+     * @param {Object} [options]
+     * @param {boolean} [options.quiet=false] - 面不存在时不输出警告
+     * @returns {boolean} 是否开始翻转（已在该面、正在翻转或面不存在时为 false）
+     */
+    goTo(face, { quiet = false } = {}) {
+        const faces = this.getFaces();
+        const index = typeof face === 'number' ? face : faces.indexOf(face);
+        if (!faces[index]) {
+            if (!quiet) console.warn(`RealPic: 未知的面 ${JSON.stringify(face)}`);
+            return false;
+        }
+        if (faces[index] === this.currentFace || this.isAnimating) return false;
+
+        if (!this.parsedConfig?.multiFace) {
+            this.flip();
+            return true;
+        }
+
+        this.resetZoom();
+        this.isAnimating = true;
+        const from = this.currentFace;
+        const side = faces[index];
+        this.currentFace = side;
+        this._emit('flipstart', { side, from });
+
+        this._applyTilt(0, 0);
+        this._syncFaceState(true);
+        this._syncMediaPlayback();
 
-        setTimeout(() => {
+        this._flipTimer = setTimeout(() => {
+            this._flipTimer = null;
             this.isAnimating = false;
-        }, 600);
+            this._emit('flipend', { side });
+        }, this._getFlipConfig().duration);
+        return true;
+    }
+
+    /**
+     * 当前生效的翻转动画配置：flip 选项优先于主题的 flip 配置
+     * @private
+     * @returns {{axis: string, direction: string, duration: number, easing: string, turn: string}}
+     */
+    _getFlipConfig() {
+        return {
+            ...FLIP_DEFAULTS,
+            ...this.parsedConfig?.flip,
+            ...ConfigParser.parseFlip(this.options?.flip)
+        };
+    }
+
+    /**
+     * 将翻转配置应用到 CSS 变量（过渡时长、缓动）和翻转轴
+     * @private
+     */
+    _applyFlipConfig() {
+        const { axis, duration, easing, turn } = this._getFlipConfig();
+        const style = this.rootElement.style;
+        style.setProperty('--realpic-flip-duration', `${duration}ms`);
+        if (window.CSS?.supports && !CSS.supports('transition-timing-function', easing)) {
+            console.warn(`RealPic: 无效的翻转缓动函数 "${easing}"，使用默认值`);
+            style.setProperty('--realpic-flip-easing', FLIP_DEFAULTS.easing);
+        } else {
+            style.setProperty('--realpic-flip-easing', easing);
+        }
+        this.rootElement.classList.toggle('realpic-flip-x', axis === 'x');
+        this.rootElement.classList.toggle('realpic-turn-fold', turn === 'fold');
+        // 轴可能已改变，按当前朝向重新设置角度（不播放过渡）
+        this._setFlipAngle(this.isFlipped ? 180 : 0, false);
+    }
+
+    /**
+     * 设置翻转器角度（内联 transform，轴由翻转配置决定）
+     * @private
+     * @param {number} angle - 角度
+     * @param {boolean} [animate] - 是否播放过渡
+     */
+    _setFlipAngle(angle, animate = true) {
+        this._flipAngle = angle;
+        const axis = this._getFlipConfig().axis === 'x' ? 'X' : 'Y';
+        if (!animate) this.flipper.style.transition = 'none';
+        this.flipper.style.transform = `rotate${axis}(${angle}deg)`;
+        // 拖拽中保持禁用过渡，由 _endDrag 恢复
+        if (!animate && !this._drag?.active) {
+            void this.flipper.offsetWidth;
+            this.flipper.style.transition = '';
+        }
     }
 
     /**
-     * 重置到正面
+     * 动画结束后将角度归一到 0 或 180（±360° 与 0° 视觉上一致），期间禁用过渡避免回转
+     * @private
+     */
+    _normalizeFlipAngle() {
+        this._setFlipAngle(this.isFlipped ? 180 : 0, false);
+    }
+
+    /**
+     * 重置到正面（多面卡片的第一面）
      */
     reset() {
+        this._cancelFlip();
+        this.resetZoom();
         this.isFlipped = false;
+        this.currentFace = this.getFaces()[0];
+        this._setFlipAngle(0);
         this.rootElement.classList.remove('realpic-flipped');
+        this._syncFaceState();
+        this._syncMediaPlayback();
     }
 
     /**
@@ -841,6 +3946,8 @@ export default class RealPic {
         if (this.rootElement) {
             this.rootElement.classList.remove('realpic-hidden');
         }
+        this._syncMediaPlayback();
+        this._syncIdle();
     }
 
     /**
@@ -850,8 +3957,151 @@ export default class RealPic {
         if (this.rootElement) {
             this.rootElement.classList.add('realpic-hidden');
         }
+        // 隐藏期间不进入待机
+        this._stopIdle();
+        clearTimeout(this._idleTimer);
+        this._idleTimer = null;
         // 重置flip状态，确保下次打开时从正面开始
         this.reset();
+        // 停止所有视频并回到开头
+        this._syncMediaPlayback(true);
+    }
+
+    /**
+     * 导出卡片图像
+     * 按主题设计尺寸（getDimensions）重新绘制，与组件在屏幕上的显示尺寸无关
+     * @param {Object} [exportOptions] - 导出选项
+     * @param {string} [exportOptions.side] - 导出的面：面 id（默认第一面，即 front）或 both（所有面从左到右拼接）
+     * @param {number} [exportOptions.scale=1] - 相对设计尺寸的缩放倍数
+     * @param {string} [exportOptions.format='blob'] - 返回格式：blob / dataURL
+     * @param {string} [exportOptions.type='image/png'] - 图片 MIME 类型
+     * @param {number} [exportOptions.quality] - 有损格式的图片质量（0-1）
+     * @returns {Promise<Blob|string>}
+     */
+    async exportImage({ side, scale = 1, format = 'blob', type = 'image/png', quality } = {}) {
+        if (!this.parsedConfig || !this.dimensions) {
+            throw new Error('Nothing to export: call setOptions() first');
+        }
+        const faces = this.parsedConfig.faces;
+        side = side ?? faces[0];
+        if (side !== 'both' && !faces.includes(side)) {
+            throw new Error(`Invalid export side: ${side}`);
+        }
+
+        const sides = side === 'both' ? faces : [side];
+        const { width, height } = this.dimensions.realpic;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale * sides.length);
+        canvas.height = Math.round(height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+
+        for (const [index, sideName] of sides.entries()) {
+            ctx.save();
+            ctx.translate(width * index, 0);
+            await this._drawSide(ctx, sideName, width, height);
+            ctx.restore();
+        }
+
+        if (format === 'dataURL') {
+            return canvas.toDataURL(type, quality);
+        }
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                blob ? resolve(blob) : reject(new Error('Failed to encode exported image'));
+            }, type, quality);
+        });
+    }
+
+    /**
+     * 在 canvas 上按设计尺寸绘制单面（框架 + 内容区域）
+     * @private
+     */
+    async _drawSide(ctx, side, viewportW, viewportH) {
+        const config = this.parsedConfig.faceConfigs[side];
+        const frameRect = this._computeFrameRect(side, viewportW, viewportH);
+
+        // 框架背景
+        if (config.image && this.loadedImages[`${side}Frame`]) {
+            const frameImg = await loadCanvasImage(this.frameURLs[side] || config.image);
+            ctx.drawImage(frameImg, frameRect.x, frameRect.y, frameRect.width, frameRect.height);
+        } else if (/gradient\(/.test(config.background)) {
+            // canvas 无法直接使用 CSS 渐变，借助 SVG foreignObject 绘制
+            const bgImg = await this._renderHTMLToImage(
+                `<div xmlns="http://www.w3.org/1999/xhtml" style="width: 100%; height: 100%; background: ${escapeXML(config.background)};"></div>`,
+                frameRect.width, frameRect.height
+            );
+            ctx.drawImage(bgImg, frameRect.x, frameRect.y, frameRect.width, frameRect.height);
+        } else {
+            ctx.fillStyle = config.background;
+            ctx.fillRect(frameRect.x, frameRect.y, frameRect.width, frameRect.height);
+        }
+
+        // 内容区域（按 DOM 顺序绘制，保持层叠关系）
+        for (const areaInfo of this.contentAreas.values()) {
+            if (areaInfo.side !== side) continue;
+
+            const areaRect = this._computeAreaRect(areaInfo.config, side, frameRect.scale);
+            areaRect.x += frameRect.x;
+            areaRect.y += frameRect.y;
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(areaRect.x, areaRect.y, areaRect.width, areaRect.height);
+            ctx.clip();
+
+            const imgEl = areaInfo.element.querySelector('img');
+            const videoEl = areaInfo.element.querySelector('video');
+            const textEl = areaInfo.element.querySelector('.realpic-text-content');
+            if (imgEl && imgEl.getAttribute('src')) {
+                const img = await loadCanvasImage(imgEl.src);
+                const drawRect = computeFitRect(areaInfo.config.fit, img.naturalWidth, img.naturalHeight, areaRect);
+                ctx.drawImage(img, drawRect.x, drawRect.y, drawRect.width, drawRect.height);
+            } else if (videoEl && videoEl.readyState >= 2) {
+                // 视频导出当前帧
+                const drawRect = computeFitRect(areaInfo.config.fit, videoEl.videoWidth, videoEl.videoHeight, areaRect);
+                ctx.drawImage(videoEl, drawRect.x, drawRect.y, drawRect.width, drawRect.height);
+            } else if (textEl) {
+                const textImg = await this._renderTextAreaToImage(areaInfo, textEl);
+                ctx.drawImage(textImg, areaRect.x, areaRect.y, areaRect.width, areaRect.height);
+            }
+
+            ctx.restore();
+        }
+    }
+
+    /**
+     * 将文字区域渲染为图片（复用已挂载的 foreignObject 内容，内联主题样式和字体）
+     * @private
+     */
+    async _renderTextAreaToImage(areaInfo, textEl) {
+        const { config, side } = areaInfo;
+        const sideDimensions = this.dimensions[side];
+        const width = this._parseDimension(config.width, sideDimensions.width);
+        const height = this._parseDimension(config.height, sideDimensions.height);
+
+        const areaCSS = Object.entries(config.style || {})
+            .map(([key, value]) => `${toKebabCase(key)}: ${value};`)
+            .join(' ');
+        const fontCSS = await collectFontFaceCSS(config.style?.fontFamily);
+        const textXML = new XMLSerializer().serializeToString(textEl);
+
+        return this._renderHTMLToImage(
+            `<div xmlns="http://www.w3.org/1999/xhtml" style="width: 100%; height: 100%; ${escapeXML(areaCSS)}">` +
+            `<style><![CDATA[${fontCSS}${EXPORT_TEXT_CSS}]]></style>${textXML}</div>`,
+            width, height
+        );
+    }
+
+    /**
+     * 将 XHTML 片段通过 SVG foreignObject 渲染为图片
+     * @private
+     */
+    _renderHTMLToImage(xhtml, width, height) {
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+            `<foreignObject width="${width}" height="${height}">${xhtml}</foreignObject></svg>`;
+        return loadCanvasImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`);
     }
 
     /**
@@ -866,6 +4116,15 @@ export default class RealPic {
      * 销毁组件
      */
     destroy() {
+        this._loadController?.abort(createAbortError('RealPic was destroyed'));
+        this._loadController = null;
+        this._cancelFlip();
+        this._cancelDrag();
+        this.resetZoom();
+        this._stopOrientationListener();
+        this._stopIdle();
+        clearTimeout(this._idleTimer);
+        this._toggleIdleListeners(false);
         if (this.rafId) {
             cancelAnimationFrame(this.rafId);
         }
@@ -880,5 +4139,7 @@ export default class RealPic {
         this.container.classList.remove('realpic-mount-point');
 
         this.contentAreas.clear();
+        this._listeners.clear();
+        this._revokeFrameURLs();
     }
 }
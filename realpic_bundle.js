@@ -0,0 +1,196 @@
+/**
+ * RealPic Bundle - 单文件主题包的打包与解包
+ *
+ * 主题包是一个 JSON 文件（建议扩展名 .realpic.json），框架图片和字体以 data URI 内联：
+ * {
+ *   "format": "realpic-theme",
+ *   "version": 1,
+ *   "name": "postcard",
+ *   "config": { ... },                 // config.json 内容，图片路径为 assets 中的键
+ *   "assets": { "postcard-A.svg": "data:image/svg+xml;base64,..." },
+ *   "fonts": [{ "family": "caveat", "src": "fonts/caveat.woff2" }]
+ * }
+ */
+
+import { ConfigParser, THEME_BUNDLE_FORMAT, THEME_BUNDLE_VERSION } from './realpic.js';
+
+/**
+ * @typedef {Object} BundleFont
+ * @property {string} family - CSS font-family 名称
+ * @property {string} src - 字体文件路径（相对主题文件夹）或 assets 中的键
+ * @property {string} [weight] - font-weight (默认: 'normal')
+ * @property {string} [style] - font-style (默认: 'normal')
+ */
+
+// 常见资源的 MIME 类型（服务端未返回或返回通用类型时使用）
+const MIME_TYPES = {
+    svg: 'image/svg+xml',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    woff2: 'font/woff2',
+    woff: 'font/woff',
+    ttf: 'font/ttf',
+    otf: 'font/otf'
+};
+
+/**
+ * 获取路径中的文件名
+ * @param {string} path
+ * @returns {string}
+ */
+function basename(path) {
+    return path.replace(/[?#].*$/, '').replace(/\/+$/, '').split('/').pop();
+}
+
+/**
+ * 按扩展名推断 MIME 类型
+ * @param {string} path
+ * @returns {string|null}
+ */
+function guessMimeType(path) {
+    const ext = /\.([a-z\d]+)$/i.exec(basename(path))?.[1].toLowerCase();
+    return MIME_TYPES[ext] || null;
+}
+
+/**
+ * 获取资源并转为 data URI
+ * @param {string} url - 资源地址
+ * @returns {Promise<string>}
+ */
+async function fetchDataURI(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load theme asset: ${url}`);
+    }
+    const blob = await response.blob();
+    const type = guessMimeType(url) || blob.type.split(';')[0] || 'application/octet-stream';
+
+    // 分段转换，避免大文件超出参数个数限制
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${type};base64,${btoa(binary)}`;
+}
+
+/**
+ * data URI 转 Blob
+ * @param {string} dataURI
+ * @returns {Blob|null} 不是 data URI 时为 null
+ */
+function dataURIToBlob(dataURI) {
+    const match = /^data:([^,]*?)(;base64)?,(.*)$/s.exec(dataURI);
+    if (!match) return null;
+
+    const type = match[1].split(';')[0];
+    if (!match[2]) {
+        return new Blob([decodeURIComponent(match[3])], { type });
+    }
+    const binary = atob(match[3]);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type });
+}
+
+/**
+ * 将主题文件夹打包为单文件主题包
+ * extends 继承链会被合并为完整配置，框架图片和光照遮罩内联为 assets；已是 data URI 的图片保持不变
+ * @param {string} themePath - 主题文件夹路径
+ * @param {Object} [options]
+ * @param {string} [options.name] - 主题名称（默认取文件夹名）
+ * @param {Array<BundleFont>} [options.fonts] - 需要一并打包的字体（src 相对主题文件夹）
+ * @returns {Promise<Object>} 主题包对象（JSON.stringify 后即为 .realpic.json 文件内容）
+ */
+export async function packTheme(themePath, { name, fonts = [] } = {}) {
+    const base = themePath.endsWith('/') ? themePath : themePath + '/';
+    const config = JSON.parse(JSON.stringify(await ConfigParser.loadConfig(themePath)));
+    const assets = {};
+
+    // 资源按文件名存放，重名时追加序号
+    const addAsset = async (path, prefix = '') => {
+        const dataURI = await fetchDataURI(ConfigParser._resolvePath(path, base));
+        const fileName = basename(path) || 'asset';
+        let key = prefix + fileName;
+        for (let i = 2; Object.hasOwn(assets, key); i++) {
+            key = prefix + fileName.replace(/(\.[^.]*)?$/, `-${i}$1`);
+        }
+        assets[key] = dataURI;
+        return key;
+    };
+
+    // 双面主题的 front / back，以及多页主题 faces 中的每一面
+    const sideConfigs = [config.front, config.back, ...(Array.isArray(config.faces) ? config.faces : [])];
+    for (const sideConfig of sideConfigs) {
+        const image = sideConfig?.image;
+        if (typeof image === 'string' && image && !image.startsWith('data:')) {
+            sideConfig.image = await addAsset(image);
+        }
+        const mask = sideConfig?.lighting?.mask;
+        if (typeof mask === 'string' && mask && !mask.startsWith('data:')) {
+            sideConfig.lighting.mask = await addAsset(mask);
+        }
+    }
+
+    const bundleFonts = [];
+    for (const font of fonts) {
+        bundleFonts.push({ ...font, src: await addAsset(font.src, 'fonts/') });
+    }
+
+    const bundle = {
+        format: THEME_BUNDLE_FORMAT,
+        version: THEME_BUNDLE_VERSION,
+        name: name ?? basename(themePath),
+        config,
+        assets
+    };
+    if (bundleFonts.length > 0) bundle.fonts = bundleFonts;
+    return bundle;
+}
+
+/**
+ * 将主题包还原为主题文件夹的文件列表
+ * 生成 config.json 和各资源文件；含字体时另生成 fonts.css（@font-face 规则，需在页面中引入）
+ * @param {Object} bundle - 主题包对象
+ * @returns {Object<string, Blob>} 相对路径 → 文件内容
+ * @throws {ThemeValidationError} 不是有效的主题包
+ */
+export function unpackTheme(bundle) {
+    ConfigParser.checkBundle(bundle);
+
+    const files = {};
+    Object.entries(bundle.assets || {}).forEach(([path, dataURI]) => {
+        const blob = typeof dataURI === 'string' ? dataURIToBlob(dataURI) : null;
+        if (blob) {
+            files[path] = blob;
+        } else {
+            console.warn(`Skipped theme bundle asset that is not a data URI: ${path}`);
+        }
+    });
+
+    files['config.json'] = new Blob([JSON.stringify(bundle.config, null, 4) + '\n'], { type: 'application/json' });
+
+    const fonts = (bundle.fonts || []).filter(font => font && typeof font.family === 'string' && typeof font.src === 'string');
+    if (fonts.length > 0) {
+        const css = fonts.map(font => [
+            '@font-face {',
+            `    font-family: ${JSON.stringify(font.family)};`,
+            `    src: url(${JSON.stringify(font.src)});`,
+            `    font-weight: ${font.weight || 'normal'};`,
+            `    font-style: ${font.style || 'normal'};`,
+            '    font-display: swap;',
+            '}'
+        ].join('\n')).join('\n\n');
+        files['fonts.css'] = new Blob([css + '\n'], { type: 'text/css' });
+    }
+
+    return files;
+}
+
+export default { packTheme, unpackTheme };
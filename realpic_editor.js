@@ -0,0 +1,1003 @@
+/**
+ * RealPicThemeEditor - 可视化主题编辑器
+ *
+ * 功能：按设计尺寸显示主题框架，以拖拽方式绘制、移动、缩放内容区域，
+ * 实时预览示例图片和文字的 position / fit / style 效果，并导出 config.json
+ */
+
+import { ConfigParser, parseLightMD } from './realpic.js';
+
+/**
+ * @typedef {Object} EditorOptions
+ * @property {string} [themePath] - 主题文件夹路径（加载 config.json，同时作为框架图片的基础路径）
+ * @property {Object} [config] - 直接编辑的原始配置（优先于 themePath 中的 config.json）
+ * @property {string} [sampleImage] - 图片区域的预览图
+ * @property {string} [sampleText] - 文字区域的预览文字（Markdown）
+ * @property {'px'|'percent'} [unit] - 坐标单位：像素或百分比 (默认: 'px')
+ * @property {Function} [onChange] - 配置变化时的回调，参数为当前配置对象
+ */
+
+const SIDE_NAMES = ['front', 'back'];
+const HANDLES = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'];
+const MIN_AREA_SIZE = 10; // 区域最小边长（设计像素），拖拽绘制小于该尺寸时视为点击
+const DEFAULT_FONT_SCALE = 0.03; // 与 realpic.js 一致：默认字号为卡片长边的 3%
+
+const TYPE_OPTIONS = ['', 'image', 'video', 'text'];
+const POSITION_OPTIONS = ['center', 'top', 'bottom', 'left', 'right'];
+const FIT_OPTIONS = ['contain', 'cover', 'stretch'];
+const TEXT_FIT_OPTIONS = ['clip', 'shrink', 'paginate', 'scroll'];
+
+// 图片预览的 object-position（与 realpic.css 中 data-position 的对齐一致）
+const OBJECT_POSITION = {
+    center: 'center',
+    top: 'center top',
+    bottom: 'center bottom',
+    left: 'left center',
+    right: 'right center'
+};
+
+// 文字预览的对齐方式 [alignItems, justifyContent, textAlign]（与 RealPic._mountTextContent 一致）
+const TEXT_ALIGN = {
+    top: ['flex-start', 'center', 'center'],
+    bottom: ['flex-end', 'center', 'center'],
+    left: ['center', 'flex-start', 'left'],
+    right: ['center', 'flex-end', 'right'],
+    center: ['center', 'center', 'center']
+};
+
+// 编辑器直接管理的区域字段，其余字段导出时原样保留
+const MANAGED_KEYS = [
+    'area', 'side', 'type', 'sizing', 'x', 'y', 'width', 'height',
+    'position', 'fit', 'textFit', 'minFontSize', 'maxFontSize', 'style'
+];
+
+/**
+ * 加载图片并获取原始尺寸
+ * @param {string} url
+ * @returns {Promise<Object|null>} { width, height, url }，失败时为 null
+ */
+function loadImage(url) {
+    return new Promise(resolve => {
+        if (!url) {
+            resolve(null);
+            return;
+        }
+        const img = new Image();
+        img.onload = () => resolve({ width: img.naturalWidth, height: img.naturalHeight, url });
+        img.onerror = () => resolve(null);
+        img.src = url;
+    });
+}
+
+/**
+ * 保留指定位数的小数
+ * @param {number} value
+ * @param {number} [digits=2]
+ * @returns {number}
+ */
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * 创建带 class 的元素
+ * @param {string} tag
+ * @param {string} [className]
+ * @returns {HTMLElement}
+ */
+function createElement(tag, className) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    return el;
+}
+
+export class RealPicThemeEditor {
+    /**
+     * @param {HTMLElement} container - 编辑器容器
+     * @param {EditorOptions} [options] - 配置选项
+     */
+    constructor(container, options = {}) {
+        if (!container) {
+            throw new Error('Container element is required');
+        }
+
+        this.container = container;
+        this.options = {
+            themePath: '',
+            config: null,
+            sampleImage: '',
+            sampleText: '示例文字 **Sample**\n第二行文字',
+            unit: 'px',
+            onChange: null,
+            ...options
+        };
+
+        this.themeBase = '';
+        this.sides = { front: {}, back: {} }; // 原始 front/back 配置（保留图片的相对路径写法）
+        this.extraConfig = {};                 // 其余顶层字段，导出时原样保留
+        this.areas = [];                       // 编辑中的区域，坐标为设计像素
+        this.dimensions = null;
+        this.frameImages = {};                 // 各面框架图片信息（已解析路径）
+        this.sampleInfo = null;
+        this.side = 'front';
+        this.selected = -1;
+        this.unit = this.options.unit === 'percent' ? 'percent' : 'px';
+        this.viewScale = 1;
+
+        this._pointer = null;
+        this._resizeObserver = null;
+        this._boundPointerMove = (e) => this._onPointerMove(e);
+        this._boundPointerUp = () => this._onPointerUp();
+
+        this._createDOM();
+
+        if (this.options.config || this.options.themePath) {
+            this.load(this.options.config || this.options.themePath).catch(error => {
+                console.error('Failed to load theme:', error);
+            });
+        }
+    }
+
+    /**
+     * 加载主题
+     * @param {string|Object} theme - 主题文件夹路径，或原始配置对象（以 options.themePath 为基础路径）
+     */
+    async load(theme) {
+        let rawConfig;
+        if (typeof theme === 'string') {
+            this.themeBase = theme;
+            rawConfig = await ConfigParser.loadConfig(theme);
+        } else {
+            this.themeBase = this.options.themePath || '';
+            rawConfig = await ConfigParser.resolveExtends(theme || {}, this.themeBase);
+        }
+
+        // 深拷贝，编辑时不修改调用方的对象
+        rawConfig = JSON.parse(JSON.stringify(rawConfig || {}));
+        if (Array.isArray(rawConfig.faces)) {
+            throw new Error('Multi-face themes ("faces") are not supported by the editor');
+        }
+        const { front = {}, back = {}, contentArea, ...extraConfig } = rawConfig;
+        this.sides = { front: { ...front }, back: { ...back } };
+        this.extraConfig = extraConfig;
+
+        const parsed = ConfigParser.parse(rawConfig, this.themeBase);
+        this.sampleInfo = await loadImage(this.options.sampleImage);
+        await this._updateFrames(parsed);
+
+        const rawAreas = Array.isArray(contentArea) ? contentArea : [];
+        this.areas = parsed.contentArea.map((area, index) => this._fromConfigArea(area, rawAreas[index]));
+        this.selected = -1;
+        this.render();
+    }
+
+    /**
+     * 导出当前配置对象（可直接写入 config.json）
+     * @returns {Object}
+     */
+    toConfig() {
+        const config = {};
+        SIDE_NAMES.forEach(side => {
+            const sideConfig = Object.fromEntries(
+                Object.entries(this.sides[side]).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+            );
+            if (Object.keys(sideConfig).length > 0) config[side] = sideConfig;
+        });
+        config.contentArea = this.areas.map(area => this._toConfigArea(area));
+        return { ...config, ...this.extraConfig };
+    }
+
+    /**
+     * 导出 config.json 文本
+     * 不命名为 toJSON，以免 JSON.stringify(editor) 重复编码
+     * @returns {string}
+     */
+    toJSONString() {
+        return JSON.stringify(this.toConfig(), null, 4);
+    }
+
+    /**
+     * 下载 config.json
+     * @param {string} [filename='config.json']
+     */
+    download(filename = 'config.json') {
+        const url = URL.createObjectURL(new Blob([this.toJSONString() + '\n'], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * 切换显示的面
+     * @param {'front'|'back'} side
+     */
+    setSide(side) {
+        if (!SIDE_NAMES.includes(side)) return;
+        this.side = side;
+        if (this.areas[this.selected]?.side !== side) this.selected = -1;
+        this.render();
+    }
+
+    /**
+     * 切换坐标单位（影响面板显示和导出格式）
+     * @param {'px'|'percent'} unit
+     */
+    setUnit(unit) {
+        this.unit = unit === 'percent' ? 'percent' : 'px';
+        this.unitSelect.value = this.unit;
+        this._renderAreaForm();
+        this._changed();
+    }
+
+    /**
+     * 选中区域
+     * @param {number} index - 区域下标，-1 取消选中
+     */
+    select(index) {
+        this.selected = index >= 0 && index < this.areas.length ? index : -1;
+        this.stage.querySelectorAll('.realpic-editor-area').forEach(el => {
+            el.classList.toggle('selected', Number(el.dataset.index) === this.selected);
+        });
+        this._renderAreaForm();
+    }
+
+    /**
+     * 在当前面中央添加区域
+     * @param {string} [type] - 内容类型（image / video / text，空为不声明）
+     * @returns {number} 新区域下标
+     */
+    addArea(type = '') {
+        const { width, height } = this.dimensions[this.side];
+        const area = this._createArea(type, width * 0.25, height * 0.25, width * 0.5, height * 0.5);
+        this.areas.push(area);
+        this.render();
+        this.select(this.areas.length - 1);
+        this._changed();
+        return this.areas.length - 1;
+    }
+
+    /**
+     * 删除区域
+     * @param {number} [index] - 区域下标（默认当前选中）
+     */
+    removeArea(index = this.selected) {
+        if (index < 0 || index >= this.areas.length) return;
+        this.areas.splice(index, 1);
+        this.selected = -1;
+        this.render();
+        this._changed();
+    }
+
+    /**
+     * 修改区域属性（坐标为设计像素）
+     * @param {number} index - 区域下标
+     * @param {Object} patch - 要修改的字段
+     */
+    updateArea(index, patch) {
+        const area = this.areas[index];
+        if (!area) return;
+
+        Object.assign(area, patch);
+        if ('side' in patch && area.side !== this.side) {
+            // 移到另一面：切换显示
+            this.side = area.side;
+        }
+        this.render();
+        this._changed();
+    }
+
+    /**
+     * 重新渲染画布和面板
+     */
+    render() {
+        if (!this.dimensions) return;
+
+        this.sideButtons.forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.side === this.side));
+        });
+
+        this._renderStage();
+        this._renderSideForm();
+        this._renderAreaForm();
+        this._renderIssues();
+    }
+
+    /**
+     * 销毁编辑器
+     */
+    destroy() {
+        window.removeEventListener('pointermove', this._boundPointerMove);
+        window.removeEventListener('pointerup', this._boundPointerUp);
+        if (this._resizeObserver) {
+            this._resizeObserver.disconnect();
+            this._resizeObserver = null;
+        }
+        this.container.innerHTML = '';
+        this.container.classList.remove('realpic-editor');
+    }
+
+    /**
+     * 创建编辑器 DOM
+     * @private
+     */
+    _createDOM() {
+        this.container.innerHTML = '';
+        this.container.classList.add('realpic-editor');
+
+        // 工具栏
+        const toolbar = createElement('div', 'realpic-editor-toolbar');
+
+        this.sideButtons = SIDE_NAMES.map(side => {
+            const button = createElement('button', 'realpic-editor-btn');
+            button.type = 'button';
+            button.dataset.side = side;
+            button.textContent = side === 'front' ? '正面' : '背面';
+            button.addEventListener('click', () => this.setSide(side));
+            toolbar.appendChild(button);
+            return button;
+        });
+
+        this.unitSelect = this._createSelect(['px', 'percent'], this.unit, { px: '像素 px', percent: '百分比 %' });
+        this.unitSelect.title = '坐标单位';
+        this.unitSelect.addEventListener('change', () => this.setUnit(this.unitSelect.value));
+
+        this.newTypeSelect = this._createSelect(TYPE_OPTIONS, 'image', { '': '未声明类型' });
+        this.newTypeSelect.title = '新区域的内容类型（在空白处拖拽也可绘制区域）';
+
+        const addButton = createElement('button', 'realpic-editor-btn');
+        addButton.type = 'button';
+        addButton.textContent = '添加区域';
+        addButton.addEventListener('click', () => this.addArea(this.newTypeSelect.value));
+
+        const exportButton = createElement('button', 'realpic-editor-btn realpic-editor-btn-primary');
+        exportButton.type = 'button';
+        exportButton.textContent = '导出 config.json';
+        exportButton.addEventListener('click', () => this.download());
+
+        toolbar.append(this.unitSelect, this.newTypeSelect, addButton, exportButton);
+
+        // 画布：stage 按设计尺寸排版，再整体缩放到可视区域
+        this.canvas = createElement('div', 'realpic-editor-canvas');
+        this.viewport = createElement('div', 'realpic-editor-viewport');
+        this.stage = createElement('div', 'realpic-editor-stage');
+        this.viewport.appendChild(this.stage);
+        this.canvas.appendChild(this.viewport);
+        this.stage.addEventListener('pointerdown', (e) => this._onStagePointerDown(e));
+
+        // 属性面板
+        this.panel = createElement('div', 'realpic-editor-panel');
+        this.sideForm = createElement('fieldset', 'realpic-editor-form');
+        this.areaForm = createElement('fieldset', 'realpic-editor-form');
+        this.issuesEl = createElement('ul', 'realpic-editor-issues');
+        this.panel.append(this.sideForm, this.areaForm, this.issuesEl);
+
+        const body = createElement('div', 'realpic-editor-body');
+        body.append(this.canvas, this.panel);
+        this.container.append(toolbar, body);
+
+        // 方向键微调选中区域（Shift 加速），Delete 删除
+        this.canvas.tabIndex = 0;
+        this.canvas.addEventListener('keydown', (e) => this._onKeydown(e));
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this._resizeObserver = new ResizeObserver(() => this._updateViewScale());
+            this._resizeObserver.observe(this.canvas);
+        }
+    }
+
+    /**
+     * 创建下拉框
+     * @private
+     */
+    _createSelect(values, current, labels = {}) {
+        const select = createElement('select', 'realpic-editor-select');
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = labels[value] ?? value;
+            select.appendChild(option);
+        });
+        select.value = current ?? '';
+        return select;
+    }
+
+    /**
+     * 根据当前 front/back 配置加载框架图片并计算设计尺寸
+     * @private
+     */
+    async _updateFrames(parsed = ConfigParser.parse(this.toConfig(), this.themeBase)) {
+        const images = await Promise.all(SIDE_NAMES.map(side => loadImage(parsed[side].image)));
+        this.frameImages = { front: images[0], back: images[1] };
+
+        const loadedImages = {};
+        if (images[0]) loadedImages.frontFrame = images[0];
+        if (images[1]) loadedImages.backFrame = images[1];
+        // 没有框架图片时，由示例图片按区域比例推算卡片尺寸（与 RealPic 的尺寸规则一致）
+        if (this.sampleInfo) {
+            parsed.contentArea.forEach(area => {
+                if (area.type !== 'text') loadedImages[`content_${area.area}`] = this.sampleInfo;
+            });
+        }
+
+        this.parsedConfig = parsed;
+        this.loadedImages = loadedImages;
+        this.dimensions = ConfigParser.getDimensions(parsed, loadedImages);
+    }
+
+    /**
+     * 将解析后的区域转为编辑用的设计像素表示
+     * @private
+     */
+    _fromConfigArea(area, rawArea = {}) {
+        const base = this.dimensions[area.side];
+        const extra = Object.fromEntries(
+            Object.entries(rawArea || {}).filter(([key]) => !MANAGED_KEYS.includes(key))
+        );
+
+        return {
+            area: area.area,
+            side: area.side,
+            type: area.type || '',
+            sizing: area.sizing,
+            x: ConfigParser.parseDimension(area.x, base.width) || 0,
+            y: ConfigParser.parseDimension(area.y, base.height) || 0,
+            width: ConfigParser.parseDimension(area.width, base.width) || 0,
+            height: ConfigParser.parseDimension(area.height, base.height) || 0,
+            position: area.position,
+            fit: area.fit,
+            textFit: area.textFit || 'clip',
+            minFontSize: area.minFontSize ?? null,
+            maxFontSize: area.maxFontSize ?? null,
+            style: { ...area.style },
+            extra
+        };
+    }
+
+    /**
+     * 将编辑中的区域转为 config.json 写法
+     * @private
+     */
+    _toConfigArea(area) {
+        const base = this.dimensions[area.side];
+        const result = { area: area.area, side: area.side };
+
+        if (area.type) result.type = area.type;
+        if (area.sizing) result.sizing = true;
+        result.x = this._formatDimension(area.x, base.width);
+        result.y = this._formatDimension(area.y, base.height);
+        result.width = this._formatDimension(area.width, base.width);
+        result.height = this._formatDimension(area.height, base.height);
+        result.position = area.position;
+        result.fit = area.fit;
+        if (area.textFit && area.textFit !== 'clip') result.textFit = area.textFit;
+        if (area.minFontSize !== null) result.minFontSize = area.minFontSize;
+        if (area.maxFontSize !== null) result.maxFontSize = area.maxFontSize;
+        if (Object.keys(area.style).length > 0) result.style = area.style;
+
+        return { ...result, ...area.extra };
+    }
+
+    /**
+     * 按当前单位格式化尺寸（结果可被 ConfigParser.parseDimension 还原）
+     * @private
+     */
+    _formatDimension(value, baseSize) {
+        if (this.unit === 'percent') {
+            return `${round(value / baseSize * 100)}%`;
+        }
+        const px = round(value);
+        // 不超过 1 的非零数字会被解析为比例，需写成像素字符串
+        return px !== 0 && px <= 1 ? `${px}px` : px;
+    }
+
+    /**
+     * 创建新区域（id 取当前最大数字 id + 1）
+     * @private
+     */
+    _createArea(type, x, y, width, height) {
+        const numericIds = this.areas.map(area => area.area).filter(id => typeof id === 'number');
+        const id = numericIds.length > 0 ? Math.max(...numericIds) + 1 : this.areas.length;
+        return {
+            area: id,
+            side: this.side,
+            type: type || '',
+            sizing: false,
+            x: Math.round(x),
+            y: Math.round(y),
+            width: Math.round(width),
+            height: Math.round(height),
+            position: 'center',
+            fit: 'contain',
+            textFit: 'clip',
+            minFontSize: null,
+            maxFontSize: null,
+            style: {},
+            extra: {}
+        };
+    }
+
+    /**
+     * 区域是否按文字预览（未声明类型时 back 面视为文字，与 ConfigParser 默认布局一致）
+     * @private
+     */
+    _isTextArea(area) {
+        return area.type ? area.type === 'text' : area.side === 'back';
+    }
+
+    /**
+     * 按设计尺寸渲染当前面
+     * @private
+     */
+    _renderStage() {
+        const { width, height } = this.dimensions[this.side];
+        const frame = this.frameImages[this.side];
+        const background = this.parsedConfig[this.side].background;
+
+        this.stage.style.width = `${width}px`;
+        this.stage.style.height = `${height}px`;
+        this.stage.style.background = frame ? `url('${frame.url}') 0 0 / 100% 100% no-repeat` : background;
+        this.stage.innerHTML = '';
+
+        this.areas.forEach((area, index) => {
+            if (area.side === this.side) {
+                this.stage.appendChild(this._createAreaElement(area, index));
+            }
+        });
+
+        this._updateViewScale();
+    }
+
+    /**
+     * 根据画布宽度缩放 stage（不放大超过设计尺寸）
+     * @private
+     */
+    _updateViewScale() {
+        if (!this.dimensions) return;
+        const { width, height } = this.dimensions[this.side];
+        const available = this.canvas.clientWidth || width;
+        this.viewScale = Math.min(1, available / width);
+        this.stage.style.transform = `scale(${this.viewScale})`;
+        this.viewport.style.width = `${width * this.viewScale}px`;
+        this.viewport.style.height = `${height * this.viewScale}px`;
+    }
+
+    /**
+     * 创建区域框（预览 + 标签 + 缩放手柄）
+     * @private
+     */
+    _createAreaElement(area, index) {
+        const el = createElement('div', 'realpic-editor-area');
+        el.dataset.index = index;
+        el.classList.toggle('selected', index === this.selected);
+
+        const preview = createElement('div', 'realpic-editor-preview');
+        const label = createElement('span', 'realpic-editor-label');
+        el.append(preview, label);
+
+        HANDLES.forEach(handle => {
+            const handleEl = createElement('span', `realpic-editor-handle realpic-editor-handle-${handle}`);
+            handleEl.dataset.handle = handle;
+            el.appendChild(handleEl);
+        });
+
+        this._positionAreaElement(el, area);
+        this._renderPreview(el, area);
+        return el;
+    }
+
+    /**
+     * 更新区域框的位置和尺寸
+     * @private
+     */
+    _positionAreaElement(el, area) {
+        Object.assign(el.style, {
+            left: `${area.x}px`,
+            top: `${area.y}px`,
+            width: `${area.width}px`,
+            height: `${area.height}px`
+        });
+        // 手柄和标签抵消 stage 缩放，保持屏幕上的大小
+        el.style.setProperty('--realpic-editor-scale', String(1 / this.viewScale));
+    }
+
+    /**
+     * 渲染区域的示例内容预览
+     * @private
+     */
+    async _renderPreview(el, area) {
+        const preview = el.querySelector('.realpic-editor-preview');
+        const label = el.querySelector('.realpic-editor-label');
+        label.textContent = `${area.area}${area.type ? ` · ${area.type}` : ''}${area.sizing ? ' · sizing' : ''}`;
+
+        preview.innerHTML = '';
+        preview.style.cssText = '';
+
+        if (!this._isTextArea(area)) {
+            if (!this.options.sampleImage) return;
+            const img = document.createElement('img');
+            img.src = this.options.sampleImage;
+            img.alt = '';
+            img.draggable = false;
+            img.style.objectFit = area.fit === 'stretch' ? 'fill' : area.fit;
+            img.style.objectPosition = OBJECT_POSITION[area.position] || 'center';
+            preview.appendChild(img);
+            return;
+        }
+
+        const [alignItems, justifyContent, textAlign] = TEXT_ALIGN[area.position] || TEXT_ALIGN.center;
+        Object.entries(area.style).forEach(([key, value]) => {
+            preview.style[key] = value;
+        });
+        const realpicRange = Math.max(this.dimensions.realpic.width, this.dimensions.realpic.height);
+        const fontSize = area.style.fontSize;
+        preview.style.fontSize = typeof fontSize === 'number' ? `${fontSize}px` : (fontSize || `${realpicRange * DEFAULT_FONT_SCALE}px`);
+        Object.assign(preview.style, {
+            display: 'flex',
+            alignItems,
+            justifyContent,
+            overflow: area.textFit === 'scroll' ? 'auto' : 'hidden'
+        });
+
+        const content = createElement('div', 'realpic-editor-text');
+        content.style.textAlign = textAlign;
+        preview.appendChild(content);
+        const html = await parseLightMD(this.options.sampleText);
+        // 渲染期间区域可能已被重绘
+        if (content.isConnected) content.innerHTML = html;
+    }
+
+    /**
+     * 渲染当前面的配置表单
+     * @private
+     */
+    _renderSideForm() {
+        const sideConfig = this.sides[this.side];
+        this.sideForm.innerHTML = '';
+        const legend = createElement('legend');
+        legend.textContent = `${this.side === 'front' ? '正面' : '背面'}（${this.dimensions[this.side].width} × ${this.dimensions[this.side].height}）`;
+        this.sideForm.appendChild(legend);
+
+        [
+            ['image', '框架图片'],
+            ['background', '背景'],
+            ['width', '设计宽度'],
+            ['height', '设计高度']
+        ].forEach(([key, labelText]) => {
+            const input = this._appendField(this.sideForm, labelText, createElement('input', 'realpic-editor-input'));
+            input.value = sideConfig[key] ?? '';
+            input.placeholder = key === 'width' || key === 'height' ? '自动' : '';
+            input.addEventListener('change', async () => {
+                const value = input.value.trim();
+                const numeric = key === 'width' || key === 'height';
+                sideConfig[key] = numeric && value !== '' ? Number(value) : value;
+                // 框架或设计尺寸变化：重新计算尺寸，区域保持设计像素坐标
+                await this._updateFrames();
+                this.render();
+                this._changed();
+            });
+        });
+    }
+
+    /**
+     * 渲染选中区域的属性表单
+     * @private
+     */
+    _renderAreaForm() {
+        this.areaForm.innerHTML = '';
+        const legend = createElement('legend');
+        this.areaForm.appendChild(legend);
+
+        const index = this.selected;
+        const area = this.areas[index];
+        if (!area) {
+            legend.textContent = '区域';
+            const hint = createElement('p', 'realpic-editor-hint');
+            hint.textContent = '点击区域进行编辑，或在空白处拖拽绘制新区域';
+            this.areaForm.appendChild(hint);
+            return;
+        }
+        legend.textContent = `区域 ${area.area}`;
+        const base = this.dimensions[area.side];
+
+        // id：纯数字按数字保存
+        const idInput = this._appendField(this.areaForm, 'area', createElement('input', 'realpic-editor-input'));
+        idInput.value = String(area.area);
+        idInput.addEventListener('change', () => {
+            const value = idInput.value.trim();
+            this.updateArea(index, { area: /^\d+$/.test(value) ? Number(value) : value });
+        });
+
+        [
+            ['side', 'side', SIDE_NAMES],
+            ['type', 'type', TYPE_OPTIONS]
+        ].forEach(([key, labelText, values]) => {
+            const select = this._appendField(this.areaForm, labelText, this._createSelect(values, area[key], { '': '（未声明）' }));
+            select.addEventListener('change', () => this.updateArea(index, { [key]: select.value }));
+        });
+
+        const sizing = this._appendField(this.areaForm, 'sizing', createElement('input'));
+        sizing.type = 'checkbox';
+        sizing.checked = area.sizing;
+        sizing.addEventListener('change', () => this.updateArea(index, { sizing: sizing.checked }));
+
+        // 坐标：按当前单位显示，输入经 ConfigParser.parseDimension 解析（支持 120 / "120px" / "10%" / 0.1）
+        this._geometryInputs = {};
+        [
+            ['x', base.width],
+            ['y', base.height],
+            ['width', base.width],
+            ['height', base.height]
+        ].forEach(([key, baseSize]) => {
+            const input = this._appendField(this.areaForm, key, createElement('input', 'realpic-editor-input'));
+            input.value = String(this._formatDimension(area[key], baseSize));
+            input.addEventListener('change', () => {
+                const value = ConfigParser.isValidDimension(input.value)
+                    ? ConfigParser.parseDimension(input.value, baseSize)
+                    : NaN;
+                if (Number.isNaN(value)) {
+                    input.setAttribute('aria-invalid', 'true');
+                    return;
+                }
+                input.removeAttribute('aria-invalid');
+                this.updateArea(index, { [key]: value });
+            });
+            this._geometryInputs[key] = { input, baseSize };
+        });
+
+        [
+            ['position', POSITION_OPTIONS],
+            ['fit', FIT_OPTIONS],
+            ['textFit', TEXT_FIT_OPTIONS]
+        ].forEach(([key, values]) => {
+            const select = this._appendField(this.areaForm, key, this._createSelect(values, area[key]));
+            select.addEventListener('change', () => this.updateArea(index, { [key]: select.value }));
+        });
+
+        if (area.textFit === 'shrink') {
+            ['minFontSize', 'maxFontSize'].forEach(key => {
+                const input = this._appendField(this.areaForm, key, createElement('input', 'realpic-editor-input'));
+                input.value = area[key] ?? '';
+                input.placeholder = '自动';
+                input.addEventListener('change', () => {
+                    const value = input.value.trim();
+                    this.updateArea(index, { [key]: value === '' ? null : ConfigParser.parseFontSize(value) ?? value });
+                });
+            });
+        }
+
+        // style：JSON 对象，解析失败时不应用
+        const styleInput = this._appendField(this.areaForm, 'style', createElement('textarea', 'realpic-editor-input'));
+        styleInput.rows = 4;
+        styleInput.spellcheck = false;
+        styleInput.value = JSON.stringify(area.style, null, 2);
+        styleInput.addEventListener('change', () => {
+            try {
+                const style = JSON.parse(styleInput.value || '{}');
+                if (style === null || typeof style !== 'object' || Array.isArray(style)) throw new Error('style must be an object');
+                styleInput.removeAttribute('aria-invalid');
+                this.updateArea(index, { style });
+            } catch (error) {
+                styleInput.setAttribute('aria-invalid', 'true');
+            }
+        });
+
+        const removeButton = createElement('button', 'realpic-editor-btn realpic-editor-btn-danger');
+        removeButton.type = 'button';
+        removeButton.textContent = '删除区域';
+        removeButton.addEventListener('click', () => this.removeArea(index));
+        this.areaForm.appendChild(removeButton);
+    }
+
+    /**
+     * 拖拽过程中同步坐标输入框
+     * @private
+     */
+    _syncGeometryInputs() {
+        const area = this.areas[this.selected];
+        if (!area || !this._geometryInputs) return;
+        Object.entries(this._geometryInputs).forEach(([key, { input, baseSize }]) => {
+            input.value = String(this._formatDimension(area[key], baseSize));
+        });
+    }
+
+    /**
+     * 添加带标签的表单项
+     * @private
+     * @returns {HTMLElement} 传入的控件
+     */
+    _appendField(form, labelText, control) {
+        const label = createElement('label', 'realpic-editor-field');
+        const text = createElement('span');
+        text.textContent = labelText;
+        label.append(text, control);
+        form.appendChild(label);
+        return control;
+    }
+
+    /**
+     * 校验当前配置并列出问题（规则与 RealPic.validateTheme 相同）
+     * @private
+     */
+    _renderIssues() {
+        const config = this.toConfig();
+        const issues = ConfigParser.collectIssues(config);
+        if (!issues.some(issue => issue.code === 'invalid-config' || issue.code === 'invalid-type')) {
+            issues.push(...ConfigParser.collectLayoutIssues(ConfigParser.parse(config, this.themeBase), this.loadedImages));
+        }
+
+        this.issuesEl.innerHTML = '';
+        if (issues.length === 0) {
+            const ok = createElement('li', 'realpic-editor-issue-ok');
+            ok.textContent = '配置有效';
+            this.issuesEl.appendChild(ok);
+            return;
+        }
+        issues.forEach(issue => {
+            const item = createElement('li', `realpic-editor-issue-${issue.level}`);
+            item.textContent = `${issue.path ? `${issue.path}: ` : ''}${issue.message}`;
+            this.issuesEl.appendChild(item);
+        });
+    }
+
+    /**
+     * 配置发生变化
+     * @private
+     */
+    _changed() {
+        this._renderIssues();
+        if (typeof this.options.onChange === 'function') {
+            this.options.onChange(this.toConfig());
+        }
+    }
+
+    /**
+     * 将指针位置换算为设计坐标
+     * @private
+     */
+    _toDesignPoint(e) {
+        const rect = this.stage.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) / this.viewScale,
+            y: (e.clientY - rect.top) / this.viewScale
+        };
+    }
+
+    /**
+     * stage 上按下指针：选中并移动 / 缩放区域，或在空白处绘制新区域
+     * @private
+     */
+    _onStagePointerDown(e) {
+        if (e.button !== 0) return;
+
+        const point = this._toDesignPoint(e);
+        const handle = e.target.closest('.realpic-editor-handle');
+        const areaEl = e.target.closest('.realpic-editor-area');
+        let index;
+        let mode;
+        let created = false;
+
+        if (areaEl) {
+            index = Number(areaEl.dataset.index);
+            mode = handle ? handle.dataset.handle : 'move';
+        } else {
+            this.areas.push(this._createArea(this.newTypeSelect.value, point.x, point.y, 0, 0));
+            index = this.areas.length - 1;
+            mode = 'se';
+            created = true;
+            this.stage.appendChild(this._createAreaElement(this.areas[index], index));
+        }
+
+        const area = this.areas[index];
+        this.select(index);
+        this._pointer = {
+            index,
+            mode,
+            created,
+            moved: false,
+            start: point,
+            origin: { x: area.x, y: area.y, width: area.width, height: area.height },
+            element: this.stage.querySelector(`.realpic-editor-area[data-index="${index}"]`)
+        };
+
+        e.preventDefault();
+        this.canvas.focus({ preventScroll: true });
+        window.addEventListener('pointermove', this._boundPointerMove);
+        window.addEventListener('pointerup', this._boundPointerUp);
+    }
+
+    /**
+     * 拖拽移动 / 缩放
+     * @private
+     */
+    _onPointerMove(e) {
+        const pointer = this._pointer;
+        if (!pointer) return;
+
+        const point = this._toDesignPoint(e);
+        const dx = Math.round(point.x - pointer.start.x);
+        const dy = Math.round(point.y - pointer.start.y);
+        const area = this.areas[pointer.index];
+        const origin = pointer.origin;
+
+        if (pointer.mode === 'move') {
+            area.x = origin.x + dx;
+            area.y = origin.y + dy;
+        } else {
+            let left = origin.x;
+            let top = origin.y;
+            let right = origin.x + origin.width;
+            let bottom = origin.y + origin.height;
+            if (pointer.mode.includes('w')) left += dx;
+            if (pointer.mode.includes('e')) right += dx;
+            if (pointer.mode.includes('n')) top += dy;
+            if (pointer.mode.includes('s')) bottom += dy;
+            // 允许拖过对边（翻转方向）
+            area.x = Math.min(left, right);
+            area.y = Math.min(top, bottom);
+            area.width = Math.abs(right - left);
+            area.height = Math.abs(bottom - top);
+        }
+
+        pointer.moved = true;
+        this._positionAreaElement(pointer.element, area);
+        this._syncGeometryInputs();
+    }
+
+    /**
+     * 结束拖拽
+     * @private
+     */
+    _onPointerUp() {
+        window.removeEventListener('pointermove', this._boundPointerMove);
+        window.removeEventListener('pointerup', this._boundPointerUp);
+
+        const pointer = this._pointer;
+        this._pointer = null;
+        if (!pointer) return;
+
+        const area = this.areas[pointer.index];
+        if (pointer.created && (area.width < MIN_AREA_SIZE || area.height < MIN_AREA_SIZE)) {
+            // 空白处单击：取消选中，不创建区域
+            this.areas.splice(pointer.index, 1);
+            this.selected = -1;
+            this.render();
+            return;
+        }
+        if (!pointer.moved) return;
+
+        area.width = Math.max(MIN_AREA_SIZE, area.width);
+        area.height = Math.max(MIN_AREA_SIZE, area.height);
+        this.render();
+        this._changed();
+    }
+
+    /**
+     * 键盘微调
+     * @private
+     */
+    _onKeydown(e) {
+        const area = this.areas[this.selected];
+        if (!area || e.target !== this.canvas) return;
+
+        const step = e.shiftKey ? 10 : 1;
+        const moves = {
+            ArrowLeft: { x: area.x - step },
+            ArrowRight: { x: area.x + step },
+            ArrowUp: { y: area.y - step },
+            ArrowDown: { y: area.y + step }
+        };
+
+        if (moves[e.key]) {
+            e.preventDefault();
+            this.updateArea(this.selected, moves[e.key]);
+        } else if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            this.removeArea();
+        }
+    }
+}
+
+export default RealPicThemeEditor;
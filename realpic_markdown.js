@@ -0,0 +1,454 @@
+/**
+ * RealPic Markdown - 内置的轻量 Markdown 渲染器
+ *
+ * 功能：无需联网即可渲染常用 Markdown 语法，并提供面向中日文附言的扩展
+ * - 块级：段落、标题、列表（可嵌套）、引用、代码块、分隔线
+ * - 行内：粗体、斜体、删除线、行内代码、链接、图片、自动链接、内联 HTML
+ * - 扩展：注音 {漢字|かんじ}、软换行（单个回车即换行）、emoji 短码 :smile:
+ */
+
+/**
+ * @typedef {Object} MarkdownOptions
+ * @property {boolean} [breaks] - 单个换行渲染为 <br> (默认: true)
+ * @property {boolean} [ruby] - 启用注音语法 {基文|注音} (默认: true)
+ * @property {boolean|Object} [emoji] - 启用 emoji 短码，传入对象可追加/覆盖短码表 (默认: true)
+ */
+
+/**
+ * 内置 emoji 短码表（GitHub 风格名称）
+ */
+export const EMOJI_SHORTCODES = {
+    smile: '😄',
+    smiley: '😃',
+    grin: '😁',
+    laughing: '😆',
+    joy: '😂',
+    blush: '😊',
+    wink: '😉',
+    heart_eyes: '😍',
+    kissing_heart: '😘',
+    yum: '😋',
+    sunglasses: '😎',
+    thinking: '🤔',
+    neutral_face: '😐',
+    sweat_smile: '😅',
+    sweat: '😓',
+    cry: '😢',
+    sob: '😭',
+    angry: '😠',
+    scream: '😱',
+    sleeping: '😴',
+    innocent: '😇',
+    upside_down_face: '🙃',
+    star_struck: '🤩',
+    partying_face: '🥳',
+    pleading_face: '🥺',
+    heart: '❤️',
+    broken_heart: '💔',
+    sparkling_heart: '💖',
+    sparkles: '✨',
+    star: '⭐',
+    fire: '🔥',
+    tada: '🎉',
+    gift: '🎁',
+    balloon: '🎈',
+    thumbsup: '👍',
+    '+1': '👍',
+    thumbsdown: '👎',
+    '-1': '👎',
+    clap: '👏',
+    wave: '👋',
+    pray: '🙏',
+    ok_hand: '👌',
+    v: '✌️',
+    muscle: '💪',
+    eyes: '👀',
+    camera: '📷',
+    camera_flash: '📸',
+    art: '🎨',
+    book: '📖',
+    pencil2: '✏️',
+    memo: '📝',
+    mailbox: '📫',
+    envelope: '✉️',
+    pushpin: '📌',
+    round_pushpin: '📍',
+    calendar: '📆',
+    coffee: '☕',
+    tea: '🍵',
+    cake: '🍰',
+    sushi: '🍣',
+    ramen: '🍜',
+    cherry_blossom: '🌸',
+    sunflower: '🌻',
+    maple_leaf: '🍁',
+    four_leaf_clover: '🍀',
+    sunny: '☀️',
+    cloud: '☁️',
+    umbrella: '☔',
+    snowflake: '❄️',
+    rainbow: '🌈',
+    ocean: '🌊',
+    crescent_moon: '🌙',
+    mount_fuji: '🗻',
+    japan: '🗾',
+    cat: '🐱',
+    dog: '🐶',
+    rabbit: '🐰',
+    panda_face: '🐼',
+    bird: '🐦',
+    airplane: '✈️',
+    train: '🚆',
+    house: '🏠',
+    music: '🎵',
+    notes: '🎶',
+    gem: '💎',
+    crown: '👑',
+    white_check_mark: '✅',
+    x: '❌',
+    warning: '⚠️',
+    question: '❓',
+    exclamation: '❗',
+    zzz: '💤'
+};
+
+const DEFAULT_OPTIONS = {
+    breaks: true,
+    ruby: true,
+    emoji: true
+};
+
+// 块级语法
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)[^`]*$/;
+const HEADING_RE = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const HR_RE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE_RE = /^ {0,3}> ?/;
+const LIST_RE = /^( {0,3})([*+-]|\d{1,9}[.)])([ \t]+|$)/;
+
+// 行内占位符（渲染完成的 HTML 片段先替换为占位符，避免被后续规则再次处理）
+const TOKEN_RE = /\u0000(\d+)\u0000/g;
+
+/**
+ * 转义 HTML 特殊字符
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHTML(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * 转义 HTML，但保留已有的字符实体（如 &nbsp; &#12354;）
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+    return text
+        .replace(/&(?!#\d+;|#x[\da-f]+;|[a-z][a-z\d]*;)/gi, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * 计算行首空格数（Tab 按 4 个空格计）
+ * @param {string} line
+ * @returns {number}
+ */
+function leadingSpaces(line) {
+    let count = 0;
+    for (const char of line) {
+        if (char === ' ') count++;
+        else if (char === '\t') count += 4;
+        else break;
+    }
+    return count;
+}
+
+/**
+ * 去掉最多 n 个行首缩进
+ * @param {string} line
+ * @param {number} n
+ * @returns {string}
+ */
+function dedent(line, n) {
+    let index = 0;
+    let removed = 0;
+    while (index < line.length && removed < n) {
+        if (line[index] === ' ') removed++;
+        else if (line[index] === '\t') removed += 4;
+        else break;
+        index++;
+    }
+    return line.slice(index);
+}
+
+/**
+ * 判断一行是否开始新的块（可打断段落）
+ * @param {string} line
+ * @returns {boolean}
+ */
+function startsBlock(line) {
+    if (FENCE_RE.test(line) || HEADING_RE.test(line) || HR_RE.test(line) || QUOTE_RE.test(line)) {
+        return true;
+    }
+    // 有序列表只有从 1 开始时才能打断段落，避免误判 "2020. 年份" 之类的文字
+    const list = LIST_RE.exec(line);
+    return !!list && list[3] !== '' && (!/\d/.test(list[2]) || parseInt(list[2], 10) === 1);
+}
+
+/**
+ * 解析块级结构
+ * @param {Array<string>} lines - 文本行
+ * @param {Object} options - 渲染选项
+ * @param {boolean} [tight=false] - 紧凑列表项：段落不包裹 <p>
+ * @returns {string} HTML
+ */
+function parseBlocks(lines, options, tight = false) {
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (line.trim() === '') {
+            i++;
+            continue;
+        }
+
+        // 代码块
+        const fence = FENCE_RE.exec(line);
+        if (fence) {
+            const marker = fence[1];
+            const code = [];
+            i++;
+            while (i < lines.length && !new RegExp(`^ {0,3}${marker[0]}{${marker.length},}\\s*$`).test(lines[i])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++; // 跳过结束标记
+            const langClass = fence[2] ? ` class="language-${escapeHTML(fence[2])}"` : '';
+            html.push(`<pre><code${langClass}>${escapeHTML(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        // 标题
+        const heading = HEADING_RE.exec(line);
+        if (heading) {
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInline(heading[2] || '', options)}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        // 分隔线（需在列表之前判断，"* * *" 也是分隔线）
+        if (HR_RE.test(line)) {
+            html.push('<hr>');
+            i++;
+            continue;
+        }
+
+        // 引用
+        if (QUOTE_RE.test(line)) {
+            const quote = [];
+            while (i < lines.length && lines[i].trim() !== '') {
+                quote.push(lines[i].replace(QUOTE_RE, ''));
+                i++;
+            }
+            html.push(`<blockquote>${parseBlocks(quote, options)}</blockquote>`);
+            continue;
+        }
+
+        // 列表
+        if (LIST_RE.test(line)) {
+            const list = parseList(lines, i, options);
+            html.push(list.html);
+            i = list.end;
+            continue;
+        }
+
+        // 段落：直到空行或新的块
+        const paragraph = [line];
+        i++;
+        while (i < lines.length && lines[i].trim() !== '' && !startsBlock(lines[i])) {
+            paragraph.push(lines[i]);
+            i++;
+        }
+        const content = renderInline(paragraph.join('\n').trim(), options);
+        html.push(tight ? content : `<p>${content}</p>`);
+    }
+
+    return html.join('\n');
+}
+
+/**
+ * 解析列表（支持嵌套和松散列表）
+ * @param {Array<string>} lines - 文本行
+ * @param {number} start - 列表首行下标
+ * @param {Object} options - 渲染选项
+ * @returns {{html: string, end: number}}
+ */
+function parseList(lines, start, options) {
+    const first = LIST_RE.exec(lines[start]);
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+        const marker = LIST_RE.exec(lines[i]);
+        if (!marker || /\d/.test(marker[2]) !== ordered) break;
+
+        // 内容缩进：标记宽度 + 空格（空项按标记后一个空格计）
+        const indent = marker[3] ? marker[0].length : marker[1].length + marker[2].length + 1;
+        const itemLines = [lines[i].slice(marker[0].length)];
+        i++;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (line.trim() === '') {
+                let next = i + 1;
+                while (next < lines.length && lines[next].trim() === '') next++;
+                // 空行后仍缩进的内容属于当前项
+                if (next < lines.length && leadingSpaces(lines[next]) >= Math.min(indent, 2)) {
+                    loose = true;
+                    itemLines.push('');
+                    i++;
+                    continue;
+                }
+                break;
+            }
+
+            const spaces = leadingSpaces(line);
+            if (spaces >= Math.min(indent, 2)) {
+                // 缩进内容（含嵌套列表）
+                itemLines.push(dedent(line, Math.min(spaces, indent)));
+            } else if (!LIST_RE.test(line) && !startsBlock(line)) {
+                // 惰性续行
+                itemLines.push(line);
+            } else {
+                break;
+            }
+            i++;
+        }
+
+        items.push(itemLines);
+
+        // 项之间的空行使列表变为松散列表
+        let next = i;
+        while (next < lines.length && lines[next].trim() === '') next++;
+        if (next > i) {
+            const nextMarker = next < lines.length && LIST_RE.exec(lines[next]);
+            if (!nextMarker || /\d/.test(nextMarker[2]) !== ordered) break;
+            loose = true;
+            i = next;
+        }
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startNum = ordered ? parseInt(first[2], 10) : 1;
+    const startAttr = ordered && startNum !== 1 ? ` start="${startNum}"` : '';
+    const body = items
+        .map(itemLines => `<li>${parseBlocks(itemLines, options, !loose)}</li>`)
+        .join('\n');
+
+    return { html: `<${tag}${startAttr}>\n${body}\n</${tag}>`, end: i };
+}
+
+/**
+ * 渲染行内语法
+ * @param {string} text - 行内文本
+ * @param {Object} options - 渲染选项
+ * @param {boolean} [allowLinks=true] - 是否解析链接（链接文字内不再嵌套链接）
+ * @param {Array<string>} [tokens] - 外层占位符表；传入时由外层负责还原
+ * @returns {string} HTML
+ */
+function renderInline(text, options, allowLinks = true, tokens = null) {
+    const isRoot = !tokens;
+    tokens = tokens || [];
+    const stash = html => `\u0000${tokens.push(html) - 1}\u0000`;
+
+    // 1. 行内代码
+    text = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => stash(`<code>${escapeHTML(code.trim())}</code>`));
+
+    // 2. 反斜杠转义
+    text = text.replace(/\\([\\`*_{}[\]()#+\-.!|~<>:])/g, (m, char) => stash(escapeHTML(char)));
+
+    if (allowLinks) {
+        // 3. 图片与链接
+        text = text.replace(/!\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+"([^"]*)")?\s*\)/g, (m, alt, src, title) => {
+            const titleAttr = title ? ` title="${escapeHTML(title)}"` : '';
+            return stash(`<img src="${escapeHTML(src)}" alt="${escapeHTML(alt)}"${titleAttr}>`);
+        });
+        text = text.replace(/\[((?:[^\[\]]|\[[^\]]*\])+)\]\(\s*<?([^\s)>]+)>?(?:\s+"([^"]*)")?\s*\)/g, (m, label, href, title) => {
+            const titleAttr = title ? ` title="${escapeHTML(title)}"` : '';
+            return stash(`<a href="${escapeHTML(href)}"${titleAttr}>${renderInline(label, options, false, tokens)}</a>`);
+        });
+
+        // 4. 自动链接 <https://...> 与裸链接
+        text = text.replace(/<((?:https?|mailto):[^\s<>]+)>/g, (m, url) => stash(`<a href="${escapeHTML(url)}">${escapeHTML(url)}</a>`));
+        text = text.replace(/\bhttps?:\/\/[^\s<>\u0000]*[^\s<>\u0000.,:;"'!?)\]]/g, url => stash(`<a href="${escapeHTML(url)}">${escapeHTML(url)}</a>`));
+    }
+
+    // 5. 内联 HTML 标签原样保留（由 sanitize 处理安全问题）
+    text = text.replace(/<\/?[A-Za-z][A-Za-z0-9-]*(?:\s+[^<>]*)?\/?>/g, tag => stash(tag));
+
+    // 6. 转义其余文本
+    text = escapeText(text);
+
+    // 7. 注音 {基文|注音}
+    if (options.ruby) {
+        text = text.replace(/\{([^{}|\n]+)\|([^{}\n]+)\}/g, (m, base, reading) =>
+            `<ruby>${base}<rp>(</rp><rt>${reading}</rt><rp>)</rp></ruby>`);
+    }
+
+    // 8. 强调与删除线
+    text = text
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+    // 9. emoji 短码
+    if (options.emoji) {
+        const table = typeof options.emoji === 'object' ? { ...EMOJI_SHORTCODES, ...options.emoji } : EMOJI_SHORTCODES;
+        // 只查自身属性，避免 :constructor: 等短码取到 Object.prototype 上的成员
+        text = text.replace(/:([a-z0-9_+-]+):/gi, (m, name) => {
+            const key = name.toLowerCase();
+            return Object.hasOwn(table, key) ? table[key] : m;
+        });
+    }
+
+    // 10. 换行：行尾两个空格或反斜杠为硬换行；开启 breaks 时单个换行也换行
+    text = options.breaks
+        ? text.replace(/(?: *\\)?\n/g, '<br>\n').replace(/ +<br>/g, '<br>')
+        : text.replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+    if (!isRoot) return text;
+    const restore = html => html.replace(TOKEN_RE, (m, index) => restore(tokens[index]));
+    return restore(text);
+}
+
+/**
+ * 渲染 Markdown 为 HTML（未经过安全过滤）
+ * @param {string} md - Markdown 文本
+ * @param {MarkdownOptions} [options] - 渲染选项
+ * @returns {string} HTML
+ */
+export function renderMarkdown(md, options = {}) {
+    if (!md || typeof md !== 'string') return '';
+
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const lines = md
+        .replace(/\r\n?/g, '\n')
+        .replace(/\u0000/g, '')
+        .split('\n');
+
+    return parseBlocks(lines, opts);
+}
+
+export default renderMarkdown;
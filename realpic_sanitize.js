@@ -0,0 +1,142 @@
+/**
+ * RealPic Sanitize - Markdown/HTML 输出的白名单过滤
+ *
+ * 功能：在 HTML 写入 innerHTML 之前移除不在白名单中的标签、属性和链接协议
+ * - 不在白名单的标签：脚本类标签连同内容删除，其余标签去壳保留文字
+ * - 事件属性（on*）始终移除
+ * - 链接类属性（href/src 等）只允许相对地址和白名单协议
+ */
+
+/**
+ * @typedef {Object} SanitizePolicy
+ * @property {Array<string>} [tags] - 允许的标签（小写）
+ * @property {Object<string, Array<string>>} [attributes] - 各标签允许的属性，'*' 对所有标签生效
+ * @property {Array<string>} [protocols] - 链接类属性允许的协议（不含冒号）
+ */
+
+/**
+ * 默认过滤策略：覆盖 Markdown 渲染结果及常见排版标签
+ * 自定义策略中给出的字段会整体替换对应默认值，如需在默认基础上追加可展开本对象
+ * @type {SanitizePolicy}
+ */
+export const DEFAULT_SANITIZE_POLICY = {
+    tags: [
+        'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'del', 'div', 'em',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd',
+        'li', 'mark', 'ol', 'p', 'pre', 'q', 'rp', 'rt', 'ruby', 's', 'small',
+        'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th',
+        'thead', 'tr', 'u', 'ul'
+    ],
+    attributes: {
+        '*': ['class', 'dir', 'lang', 'title'],
+        a: ['href'],
+        img: ['src', 'alt', 'width', 'height'],
+        ol: ['start', 'reversed'],
+        blockquote: ['cite'],
+        q: ['cite'],
+        td: ['colspan', 'rowspan', 'align'],
+        th: ['colspan', 'rowspan', 'align']
+    },
+    protocols: ['http', 'https', 'mailto', 'tel']
+};
+
+// 连同内容一起删除的标签（其文字内容本身没有展示意义或可能被执行）
+const DROP_WITH_CONTENT = new Set([
+    'script', 'style', 'template', 'noscript', 'iframe', 'frame', 'frameset',
+    'object', 'embed', 'applet', 'svg', 'math', 'textarea', 'select', 'title', 'head'
+]);
+
+// 值为 URL 的属性，需检查协议
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite', 'action', 'formaction', 'poster', 'background', 'xlink:href']);
+
+/**
+ * 检查 URL 是否为相对地址或白名单协议
+ * @param {string} value - 属性值
+ * @param {Set<string>} protocols - 允许的协议
+ * @returns {boolean}
+ */
+function isSafeURL(value, protocols) {
+    // 浏览器解析 URL 时会忽略控制字符和空白，检查前同样去掉，防止 "java\tscript:" 之类的绕过
+    const url = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+    const scheme = /^([a-z][a-z\d+.-]*):/i.exec(url);
+    return !scheme || protocols.has(scheme[1].toLowerCase());
+}
+
+/**
+ * 合并用户策略与默认策略
+ * @param {SanitizePolicy} policy
+ * @returns {{tags: Set<string>, attributes: Object<string, Set<string>>, protocols: Set<string>}}
+ */
+function resolvePolicy(policy) {
+    const merged = { ...DEFAULT_SANITIZE_POLICY, ...policy };
+    const attributes = {};
+    Object.entries(merged.attributes || {}).forEach(([tag, names]) => {
+        attributes[tag.toLowerCase()] = new Set(names.map(name => name.toLowerCase()));
+    });
+    return {
+        tags: new Set((merged.tags || []).map(tag => tag.toLowerCase())),
+        attributes,
+        protocols: new Set((merged.protocols || []).map(protocol => protocol.toLowerCase().replace(/:$/, '')))
+    };
+}
+
+/**
+ * 递归过滤节点
+ * @param {Node} parent - 父节点
+ * @param {Object} rules - resolvePolicy 的结果
+ */
+function sanitizeNode(parent, rules) {
+    Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            // 注释、处理指令等
+            node.remove();
+            return;
+        }
+
+        const tag = node.localName.toLowerCase();
+
+        if (DROP_WITH_CONTENT.has(tag) && !rules.tags.has(tag)) {
+            node.remove();
+            return;
+        }
+
+        // 先处理子节点，去壳时移出的子节点已经是过滤过的
+        sanitizeNode(node, rules);
+
+        if (!rules.tags.has(tag)) {
+            node.replaceWith(...node.childNodes);
+            return;
+        }
+
+        const allowed = rules.attributes[tag];
+        const common = rules.attributes['*'];
+        Array.from(node.attributes).forEach(attr => {
+            const name = attr.name.toLowerCase();
+            const isAllowed = (allowed && allowed.has(name)) || (common && common.has(name));
+            if (!isAllowed || name.startsWith('on') ||
+                (URL_ATTRIBUTES.has(name) && !isSafeURL(attr.value, rules.protocols))) {
+                node.removeAttribute(attr.name);
+            }
+        });
+    });
+}
+
+/**
+ * 按白名单策略过滤 HTML
+ * 使用 <template> 解析，解析过程中不会加载图片或执行脚本
+ * @param {string} html - HTML 字符串
+ * @param {SanitizePolicy} [policy] - 过滤策略（缺省字段使用默认值）
+ * @returns {string} 过滤后的 HTML
+ */
+export function sanitizeHTML(html, policy = {}) {
+    if (!html) return '';
+
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    sanitizeNode(template.content, resolvePolicy(policy));
+    return template.innerHTML;
+}
+
+export default sanitizeHTML;
@@ -4,7 +4,7 @@
  * 功能：为图片提供统一的模态框查看体验，支持3D翻转展示图片描述
  */
 
-import RealPic, { parseLightMD } from './realpic.js';
+import RealPic, { parseLightMD, isAbortError } from './realpic.js';
 
 /**
  * @typedef {Object} ViewerOptions
@@ -13,11 +13,20 @@ import RealPic, { parseLightMD } from './realpic.js';
  * @property {string} titleId - 标题元素ID (默认: 'viewerTitle')
  * @property {string} closeBtnId - 关闭按钮ID (默认: 'viewerCloseBtn')
  * @property {string} flipBtnId - 翻转按钮ID (默认: 'viewerFlipBtn')
+ * @property {string} prevBtnId - 上一张按钮ID (默认: 'viewerPrevBtn')
+ * @property {string} nextBtnId - 下一张按钮ID (默认: 'viewerNextBtn')
+ * @property {boolean} [loop] - 图片列表首尾循环切换 (默认: false)
+ * @property {boolean} [zoom] - 图片区域支持缩放和平移，传给卡片 (默认: false)
+ * @property {boolean} [history] - 同步浏览器历史：打开时地址添加 #view=<id>&side=<面>（如 back），后退关闭蒙版 (默认: false)
+ * @property {string} [historyParam] - 地址 hash 中图片 id 的参数名 (默认: 'view')
+ * @property {boolean|Object} [idle] - 卡片的待机展示选项，传给卡片（见 RealPic 的 idle 选项）(默认: false)
+ * @property {boolean} [autoAdvance] - 待机时各面都展示过后淡出切换到下一张，列表末尾回到第一张；需在 idle 中设置 flipEvery (默认: false)
  * @property {string} originPath - 原图基础路径
  * @property {string} themesPath - 主题基础路径
  * @property {Function} [onOpen] - 打开时的回调
  * @property {Function} [onClose] - 关闭时的回调
  * @property {string} [defaultTheme] - 默认主题名称 (默认: 'zmd')
+ * @property {Object} [markdown] - 描述和标签的 Markdown 渲染选项，同时传给卡片（见 parseLightMD）
  */
 
 export class RealPicViewer {
@@ -30,6 +39,14 @@ export class RealPicViewer {
             tagsId: 'viewerTags',
             closeBtnId: 'viewerCloseBtn',
             flipBtnId: 'viewerFlipBtn',
+            prevBtnId: 'viewerPrevBtn',
+            nextBtnId: 'viewerNextBtn',
+            loop: false,
+            zoom: false,
+            history: false,
+            historyParam: 'view',
+            idle: false,
+            autoAdvance: false,
             originPath: '/images/',
             themesPath: '/static/realpic/themes/',
             defaultTheme: '',
@@ -46,12 +63,28 @@ export class RealPicViewer {
         this.tagsEl = document.getElementById(this.options.tagsId);
         this.closeBtn = document.getElementById(this.options.closeBtnId);
         this.flipBtn = document.getElementById(this.options.flipBtnId);
+        this.prevBtn = document.getElementById(this.options.prevBtnId);
+        this.nextBtn = document.getElementById(this.options.nextBtnId);
         
         this.realpic = null;
         this.isOpen = false;
+        this.images = [];
+        this.currentIndex = -1;
+        this._currentImage = null;
+        this._showRequest = 0; // 每次 show 递增，旧请求完成时据此判断是否已被取代
+        this._returnFocusEl = null;
+        this._touchStart = null;
+        this._flipTimer = null;
+        this._historyEntry = false; // 当前历史记录是否由打开蒙版时压入（关闭时需后退）
+        this._applyingHistory = false; // 正在响应地址变化，不再写入历史
+        this._locationChecked = false;
+        this._advanceTimer = null;
         
+        this._boundPopStateHandler = this._handlePopState.bind(this);
         this._boundKeyHandler = this._handleKeydown.bind(this);
         this._boundClickHandler = this._handleClick.bind(this);
+        this._boundTouchStartHandler = this._handleTouchStart.bind(this);
+        this._boundTouchEndHandler = this._handleTouchEnd.bind(this);
         
         this.init();
     }
@@ -62,12 +95,35 @@ export class RealPicViewer {
             return;
         }
         
+        // 蒙版作为模态对话框
+        this.modal.setAttribute('role', 'dialog');
+        this.modal.setAttribute('aria-modal', 'true');
+        this.modal.tabIndex = -1;
+        if (this.titleEl?.id) {
+            this.modal.setAttribute('aria-labelledby', this.titleEl.id);
+        }
+        if (this.descriptionEl?.id) {
+            this.modal.setAttribute('aria-describedby', this.descriptionEl.id);
+        }
+        
         // 创建加载动画元素
         this._createLoadingElement();
         
         // 初始化 RealPic 实例
         this.realpic = new RealPic(this.container);
         
+        // 同步浏览器历史：翻面时更新地址中的 side，前进/后退时打开或关闭蒙版
+        if (this.options.history) {
+            this.realpic.on('flipend', ({ side }) => {
+                if (this.isOpen && this._currentImage) this._writeHistory(this._currentImage, side);
+            });
+            window.addEventListener('popstate', this._boundPopStateHandler);
+        }
+        
+        // 待机自动切换：两面都展示过后切换到下一张，用户操作时取消
+        this.realpic.on('idlecycle', () => this._advance());
+        this.realpic.on('idleend', () => this._cancelAdvance());
+        
         // 绑定关闭事件
         this.closeBtn?.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -80,8 +136,21 @@ export class RealPicViewer {
             this.realpic?.flip();
         });
         
-        // 绑定点击和键盘事件
+        // 绑定切换事件
+        this.prevBtn?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.prev();
+        });
+        this.nextBtn?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.next();
+        });
+        this._updateNavButtons();
+        
+        // 绑定点击、滑动和键盘事件
         this.modal.addEventListener('click', this._boundClickHandler);
+        this.modal.addEventListener('touchstart', this._boundTouchStartHandler, { passive: true });
+        this.modal.addEventListener('touchend', this._boundTouchEndHandler);
         document.addEventListener('keydown', this._boundKeyHandler);
     }
     
@@ -112,6 +181,12 @@ export class RealPicViewer {
      * 处理点击事件
      */
     _handleClick(e) {
+        // 滑动切换后浏览器可能补发 click，忽略
+        if (this._suppressClick) {
+            this._suppressClick = false;
+            return;
+        }
+        
         // 点击背景关闭
         if (e.target === this.modal) {
             this.close();
@@ -125,11 +200,22 @@ export class RealPicViewer {
             return;
         }
         
-        // 点击框架内容区域翻转
+        // 点击框架内容区域翻转（放大查看时点击不翻转）
         const isFrame = e.target.classList.contains('realpic-frame') || 
                         e.target.closest('.realpic-frame');
-        if (isFrame) {
-            this.realpic?.flip();
+        if (!isFrame || !this.realpic || this.realpic.isZoomed()) return;
+        
+        // 开启 zoom 时可缩放的图片上双击用于缩放：延迟翻转，第二次点击到来时取消；未开启时立即翻转
+        const zoomable = this.realpic.options?.zoom && e.target.closest('[data-content-type="image"]');
+        clearTimeout(this._flipTimer);
+        this._flipTimer = null;
+        if (!zoomable) {
+            this.realpic.flip();
+        } else if (e.detail <= 1) {
+            this._flipTimer = setTimeout(() => {
+                this._flipTimer = null;
+                if (!this.realpic?.isZoomed()) this.realpic?.flip();
+            }, 300);
         }
     }
     
@@ -137,35 +223,303 @@ export class RealPicViewer {
      * 处理键盘事件
      */
     _handleKeydown(e) {
-        if (e.key === 'Escape' && this.isOpen) {
-            this.close();
+        if (!this.isOpen) return;
+        
+        if (e.key === 'Tab') {
+            this._trapFocus(e);
+        } else if (e.key === 'Escape') {
+            // 放大查看时先还原
+            if (this.realpic?.isZoomed()) {
+                this.realpic.resetZoom();
+            } else {
+                this.close();
+            }
+        } else if (e.key === 'ArrowLeft') {
+            this.prev();
+        } else if (e.key === 'ArrowRight') {
+            this.next();
+        }
+    }
+    
+    /**
+     * 将 Tab 焦点限制在蒙版内循环
+     * @private
+     */
+    _trapFocus(e) {
+        const focusable = [...this.modal.querySelectorAll(
+            'a[href], button:not([disabled]), input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        )].filter(el => !el.hidden && !el.closest('[inert]') && el.getClientRects().length > 0);
+        
+        if (focusable.length === 0) {
+            e.preventDefault();
+            this.modal.focus();
+            return;
+        }
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+        
+        if (e.shiftKey && (active === first || !this.modal.contains(active))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (active === last || !this.modal.contains(active))) {
+            e.preventDefault();
+            first.focus();
         }
     }
     
+    /**
+     * 记录滑动起点
+     */
+    _handleTouchStart(e) {
+        // 在卡片上的水平拖动由 RealPic 处理为拖拽翻转；放大时为平移
+        const onCard = e.target.closest('.realpic-frame');
+        if (e.touches.length !== 1 || this.realpic?.isZoomed() ||
+            (onCard && this.realpic?.options?.dragToFlip !== false)) {
+            this._touchStart = null;
+            return;
+        }
+        const touch = e.touches[0];
+        this._touchStart = { x: touch.clientX, y: touch.clientY };
+    }
+    
+    /**
+     * 水平滑动切换图片
+     */
+    _handleTouchEnd(e) {
+        if (!this._touchStart || !this.isOpen) return;
+        
+        const touch = e.changedTouches[0];
+        const dx = touch.clientX - this._touchStart.x;
+        const dy = touch.clientY - this._touchStart.y;
+        this._touchStart = null;
+        
+        // 水平位移足够大且明显大于垂直位移才视为滑动
+        if (Math.abs(dx) < 50 || Math.abs(dx) < Math.abs(dy) * 1.5) return;
+        
+        this._suppressClick = true;
+        setTimeout(() => { this._suppressClick = false; }, 400);
+        dx < 0 ? this.next() : this.prev();
+    }
+    
     /**
      * 获取主题路径
+     * @param {string} theme - 主题名称（文件夹名；以 .json 结尾时为主题包或主题系列文件，如 card/family.json）
+     * @returns {string} 主题路径
      */
     getThemePath(theme) {
-        if (!theme || theme.trim() === '') {
-            return `${this.options.themesPath}${this.options.defaultTheme}/`;
+        const name = !theme || theme.trim() === '' ? this.options.defaultTheme : theme;
+        return /\.json$/i.test(name)
+            ? `${this.options.themesPath}${name}`
+            : `${this.options.themesPath}${name}/`;
+    }
+
+    /**
+     * 解析实际使用的主题路径
+     * 主题为主题系列（family.json）时，按图片元数据中的 width/height 选择变体；
+     * 元数据没有尺寸时返回系列路径，由 RealPic 在加载图片后选择
+     * @param {string} theme - 主题名称
+     * @param {Object} [image] - 图片元数据
+     * @returns {Promise<string>} 主题路径
+     */
+    async resolveThemePath(theme, image = null) {
+        const themePath = this.getThemePath(theme);
+        if (!(image?.width > 0 && image?.height > 0)) return themePath;
+        return RealPic.resolveThemePath(themePath, { width: image.width, height: image.height });
+    }
+    
+    /**
+     * 设置可切换的图片列表（如 manifest 数组）
+     * @param {Array<Object>} images - 有序的图片元数据列表
+     */
+    setImages(images) {
+        this.images = Array.isArray(images) ? images : [];
+        this.currentIndex = this.images.indexOf(this._currentImage);
+        this._updateNavButtons();
+        
+        // 首次提供图片列表时，打开地址中指定的图片
+        if (this.options.history && !this._locationChecked) {
+            this._locationChecked = true;
+            this._openFromLocation();
+        }
+    }
+    
+    /**
+     * 获取图片在地址中使用的 id（默认为 id 字段，没有时使用 filename）
+     * @private
+     */
+    _getImageId(image) {
+        return String(image.id ?? image.filename);
+    }
+    
+    /**
+     * 解析地址 hash 中的图片 id 和显示面（未指定面时 side 为 null，即第一面）
+     * @private
+     * @returns {{id: string|null, side: string|null}}
+     */
+    _readLocation() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        return {
+            id: params.get(this.options.historyParam),
+            side: params.get('side') || null
+        };
+    }
+    
+    /**
+     * 生成指向图片的地址（保留 hash 中的其他参数）；image 为 null 时移除图片参数
+     * @private
+     */
+    _buildLocation(image, side = null) {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        if (image) {
+            params.set(this.options.historyParam, this._getImageId(image));
+            side && side !== 'front' ? params.set('side', side) : params.delete('side');
+        } else {
+            params.delete(this.options.historyParam);
+            params.delete('side');
+        }
+        const hash = params.toString();
+        const { pathname, search } = window.location;
+        return `${pathname}${search}${hash ? `#${hash}` : ''}`;
+    }
+    
+    /**
+     * 将当前图片写入浏览器历史：首次打开时压入新记录（后退即关闭蒙版），切换图片和翻面时替换当前记录
+     * @private
+     */
+    _writeHistory(image, side = null) {
+        if (this._applyingHistory) return;
+        
+        const url = this._buildLocation(image, side);
+        const state = { realpicViewer: this._getImageId(image) };
+        if (!this._historyEntry) {
+            window.history.pushState(state, '', url);
+            this._historyEntry = true;
+        } else {
+            window.history.replaceState(state, '', url);
+        }
+    }
+    
+    /**
+     * 打开地址中指定的图片（页面加载时）
+     * 先将当前记录替换为不含图片参数的地址，再由 show 压入新记录，使后退关闭蒙版而不是离开页面
+     * @private
+     */
+    _openFromLocation() {
+        const { id, side } = this._readLocation();
+        if (id === null) return;
+        
+        const image = this.images.find(item => this._getImageId(item) === id);
+        if (!image) {
+            console.warn(`RealPicViewer: 地址中的图片不存在: ${id}`);
+            return;
+        }
+        window.history.replaceState(window.history.state, '', this._buildLocation(null));
+        this.show(image, undefined, { side });
+    }
+    
+    /**
+     * 浏览器前进/后退：按地址打开、翻面或关闭蒙版
+     * @private
+     */
+    _handlePopState() {
+        const { id, side } = this._readLocation();
+        const image = id === null ? null : this.images.find(item => this._getImageId(item) === id);
+        
+        this._applyingHistory = true;
+        try {
+            if (!image) {
+                this.close();
+            } else if (this.isOpen && image === this._currentImage) {
+                this.realpic.goTo(side ?? this.realpic.getFaces()[0]);
+            } else {
+                this.show(image, undefined, { side });
+            }
+        } finally {
+            this._applyingHistory = false;
+        }
+        // 回到由 show 压入的记录时，后退仍应关闭蒙版
+        this._historyEntry = Boolean(image);
+    }
+    
+    /**
+     * 显示列表中指定位置的图片
+     * @param {number} index - 列表索引
+     */
+    showAt(index) {
+        const total = this.images.length;
+        if (total === 0) return;
+        
+        if (this.options.loop) {
+            index = (index % total + total) % total;
+        } else if (index < 0 || index >= total) {
+            return;
         }
-        return `${this.options.themesPath}${theme}/`;
+        return this.show(this.images[index]);
+    }
+    
+    /**
+     * 切换到上一张
+     */
+    prev() {
+        if (!this.isOpen) return;
+        return this.showAt(this.currentIndex - 1);
+    }
+    
+    /**
+     * 切换到下一张
+     */
+    next() {
+        if (!this.isOpen) return;
+        return this.showAt(this.currentIndex + 1);
+    }
+    
+    /**
+     * 更新上一张/下一张按钮状态
+     * @private
+     */
+    _updateNavButtons() {
+        const total = this.images.length;
+        const hasList = total > 1;
+        const loop = this.options.loop;
+        const index = this.currentIndex;
+        
+        [this.prevBtn, this.nextBtn].forEach(btn => {
+            if (btn) btn.hidden = !hasList;
+        });
+        if (this.prevBtn) this.prevBtn.disabled = !loop && index <= 0;
+        if (this.nextBtn) this.nextBtn.disabled = !loop && index >= total - 1;
     }
     
     /**
      * 显示图片
-     * @param {Object} image - 图片元数据 { filename, title, description, postscript, theme }
+     * @param {Object} image - 图片元数据 { filename, title, description, postscript, theme, images?, contents? }
+     * @param {Array<Object>} [images] - 可选，同时设置可切换的图片列表
+     * @param {Object} [options]
+     * @param {string} [options.side] - 加载完成后显示的面：front / back，多页卡片为面 id (默认: 第一面)
      */
-    async show(image) {
+    async show(image, images, { side = null } = {}) {
         if (!this.realpic) return;
         
-        // 如果正在加载中，忽略此次点击
-        if (this.isLoading) return;
-        this.isLoading = true;
+        if (images) {
+            this.images = images;
+        }
+        
+        // 立即切换到最新请求；上一张仍在加载时，其 setOptions 会被中止
+        const request = ++this._showRequest;
+        const isCurrent = () => request === this._showRequest;
+        this._currentImage = image;
+        this.currentIndex = this.images.indexOf(image);
+        this._updateNavButtons();
+        if (this.options.history) {
+            this._writeHistory(image, side);
+        }
         
         // 执行打开回调
         if (this.options.onOpen) {
             await this.options.onOpen(image);
+            if (!isCurrent()) return;
         }
         
         // 设置标题
@@ -175,100 +529,203 @@ export class RealPicViewer {
         
         // 设置描述（显示在标题下方，支持 Markdown）
         if (this.descriptionEl) {
-            this.descriptionEl.innerHTML = await parseLightMD(image.description || '');
+            const description = await parseLightMD(image.description || '', this.options.markdown);
+            if (!isCurrent()) return;
+            this.descriptionEl.innerHTML = description;
         }
         
         // 设置标签（用反引号包裹每个标签，以显示代码样式背景）
         if (this.tagsEl && image.tags && image.tags.length > 0) {
             const tagsMarkdown = image.tags.map(tag => `\`${tag}\``).join(' ');
-            this.tagsEl.innerHTML = await parseLightMD(tagsMarkdown);
+            const tags = await parseLightMD(tagsMarkdown, this.options.markdown);
+            if (!isCurrent()) return;
+            this.tagsEl.innerHTML = tags;
         } else if (this.tagsEl) {
             this.tagsEl.innerHTML = '';
         }
         
-        // 获取主题路径
-        const themePath = this.getThemePath(image.theme);
-        
         // 先显示模态框和加载动画
+        const wasOpen = this.isOpen;
         this.modal.classList.add('active');
         this.modal.classList.add('loading');
+        this.modal.setAttribute('aria-busy', 'true');
         document.body.style.overflow = 'hidden';
         this.isOpen = true;
         
+        // 首次打开时记录原焦点，关闭时归还
+        if (!wasOpen) {
+            this._returnFocusEl = document.activeElement;
+            this.modal.focus();
+        }
+        
         try {
+            // 获取主题路径（主题系列需请求 family.json，放在蒙版显示之后）
+            const themePath = await this.resolveThemePath(image.theme, image);
+            if (!isCurrent()) return;
+            
             // 预加载所有资源（大图 + 主题图片）
             await this._preloadResources(image, themePath);
+            if (!isCurrent()) return;
             
             // 资源就绪后，设置 RealPic 内容并渲染
             await this.realpic.setOptions({
                 themePath: themePath,
-                contents: [
-                    { 
-                        area: 0,
-                        type: 'image', 
-                        src: `${this.options.originPath}${image.filename}`,
-                        alt: image.title 
-                    },
-                    { 
-                        area: 1,
-                        type: 'text', 
-                        content: image.postscript || ''
-                    }
-                ]
+                contents: this._buildContents(image),
+                data: this._buildData(image),
+                markdown: this.options.markdown,
+                zoom: this.options.zoom,
+                idle: this._buildIdleOptions()
             });
+            if (side && isCurrent()) {
+                this.realpic.goTo(side);
+            }
         } catch (error) {
+            // 已切换到其他图片，由新的请求负责显示
+            if (isAbortError(error)) return;
             console.error('加载图片失败:', error);
-        } finally {
-            // 移除加载状态，显示内容
-            this.modal.classList.remove('loading');
-            this.isLoading = false;
         }
+        if (!isCurrent()) return;
+        
+        // 移除加载状态，显示内容
+        this.modal.classList.remove('loading');
+        this.modal.removeAttribute('aria-busy');
+        this._updateNavButtons();
+        
+        // 焦点仍在蒙版本身时移到卡片上，可直接用 Enter / 空格翻转
+        if (this.isOpen && document.activeElement === this.modal) {
+            this.realpic.rootElement?.focus();
+        }
+        this._preloadNeighbours();
     }
     
     /**
-     * 预加载所有必需资源
+     * 后台预加载前后相邻图片及其主题资源
      * @private
      */
-    async _preloadResources(image, themePath) {
-        const resourcesToLoad = [];
+    _preloadNeighbours() {
+        if (this.currentIndex < 0) return;
         
-        // 1. 预加载大图
-        const originUrl = `${this.options.originPath}${image.filename}`;
-        resourcesToLoad.push(this._preloadImage(originUrl));
+        const total = this.images.length;
+        [this.currentIndex - 1, this.currentIndex + 1].forEach(index => {
+            if (this.options.loop) index = (index + total) % total;
+            const image = this.images[index];
+            if (!image || index === this.currentIndex) return;
+            this.resolveThemePath(image.theme, image)
+                .then(themePath => this._preloadResources(image, themePath))
+                .catch(error => console.warn('预加载相邻图片失败:', error));
+        });
+    }
+    
+    /**
+     * 构建卡片的 idle 选项：自动切换时两面展示完后不再翻回，由查看器切换下一张
+     * @private
+     */
+    _buildIdleOptions() {
+        const idle = this.options.idle;
+        if (!idle || !this.options.autoAdvance) return idle;
+        return { ...(typeof idle === 'object' ? idle : {}), repeat: false };
+    }
+    
+    /**
+     * 待机时淡出当前图片并切换到下一张
+     * @private
+     */
+    _advance() {
+        if (!this.options.autoAdvance || !this.isOpen || this.images.length < 2 || this._advanceTimer) return;
         
-        // 2. 加载主题配置并预加载主题图片
-        try {
-            const configUrl = `${themePath}config.json`;
-            const configResponse = await fetch(configUrl);
-            if (configResponse.ok) {
-                const config = await configResponse.json();
-                // 预加载主题 front/back 图片
-                if (config.front?.image) {
-                    resourcesToLoad.push(this._preloadImage(`${themePath}${config.front.image}`));
-                }
-                if (config.back?.image) {
-                    resourcesToLoad.push(this._preloadImage(`${themePath}${config.back.image}`));
-                }
+        this.modal.classList.add('advancing');
+        this._advanceTimer = setTimeout(async () => {
+            this._advanceTimer = null;
+            try {
+                await this.showAt((this.currentIndex + 1) % this.images.length);
+            } finally {
+                this.modal.classList.remove('advancing');
             }
-        } catch (e) {
-            // 主题配置加载失败不影响主图显示
+        }, 600);
+    }
+    
+    /**
+     * 用户操作时取消尚未开始的自动切换
+     * @private
+     */
+    _cancelAdvance() {
+        if (!this._advanceTimer) return;
+        clearTimeout(this._advanceTimer);
+        this._advanceTimer = null;
+        this.modal.classList.remove('advancing');
+    }
+    
+    /**
+     * 构建 SVG 框架占位符数据：图片元数据本身，另提供 date（uploadAt 的 YYYY.MM.DD）和空格连接的 tags
+     * image.data 中的字段优先
+     * @private
+     */
+    _buildData(image) {
+        const date = typeof image.uploadAt === 'string' ? image.uploadAt.slice(0, 10).replace(/-/g, '.') : '';
+        return {
+            date,
+            ...image,
+            tags: (image.tags || []).join(' '),
+            ...image.data
+        };
+    }
+    
+    /**
+     * 将图片元数据转换为 RealPic 内容数组
+     * - image.contents: 完整的内容数组，按 area id 映射到主题区域（filename 会拼接 originPath）
+     * - image.images: 多张图片（字符串文件名或 { area, filename, alt }），加上 postscript 文字
+     * - 默认: filename 图片 + postscript 文字
+     * @private
+     */
+    _buildContents(image) {
+        if (Array.isArray(image.contents)) {
+            return image.contents.map(content => this._resolveContent(content, image));
         }
         
-        // 等待所有资源加载完成
-        await Promise.all(resourcesToLoad);
+        const images = Array.isArray(image.images) && image.images.length > 0
+            ? image.images
+            : [image.filename];
+        
+        return [
+            ...images.map(entry => this._resolveContent(
+                typeof entry === 'string' ? { filename: entry } : entry,
+                image,
+                'image'
+            )),
+            { type: 'text', content: image.postscript || '' }
+        ];
     }
     
     /**
-     * 预加载单张图片
+     * 补全单项内容：filename 转为 src，图片默认使用标题作为替代文本
      * @private
      */
-    _preloadImage(url) {
-        return new Promise((resolve) => {
-            const img = new Image();
-            img.onload = () => resolve(img);
-            img.onerror = () => resolve(null); // 加载失败也继续
-            img.src = url;
-        });
+    _resolveContent(content, image, defaultType) {
+        const { filename, ...rest } = content;
+        const resolved = { type: defaultType, ...rest };
+        if (filename && !resolved.src) {
+            resolved.src = `${this.options.originPath}${filename}`;
+        }
+        if (resolved.type === 'image' && resolved.alt === undefined) {
+            resolved.alt = image.title;
+        }
+        return resolved;
+    }
+    
+    /**
+     * 预加载所有必需资源（大图 + 主题配置和框架），存入与 RealPic 共用的缓存
+     * @private
+     */
+    async _preloadResources(image, themePath) {
+        try {
+            await RealPic.preload({
+                themePath,
+                contents: this._buildContents(image)
+            });
+        } catch (error) {
+            // 主题配置加载失败不影响主图显示
+            console.warn('预加载主题资源失败:', error);
+        }
     }
     
     /**
@@ -277,10 +734,33 @@ export class RealPicViewer {
     close() {
         if (!this.isOpen) return;
         
+        this._showRequest++; // 放弃仍在进行的加载
+        this.realpic?.abort(); // 卡片加载完成后会显示并恢复视频和闲置动画，关闭时一并中止
+        this.modal.classList.remove('loading');
+        this.modal.removeAttribute('aria-busy');
+        clearTimeout(this._flipTimer);
+        this._flipTimer = null;
+        this._cancelAdvance();
+        
+        // 移除地址中的图片参数：打开时压入了记录则后退（与浏览器后退按钮一致），否则替换
+        if (this.options.history && !this._applyingHistory) {
+            if (this._historyEntry) {
+                window.history.back();
+            } else {
+                window.history.replaceState(window.history.state, '', this._buildLocation(null));
+            }
+        }
+        this._historyEntry = false;
         this.modal.classList.remove('active');
         document.body.style.overflow = '';
         this.isOpen = false;
         
+        // 焦点归还给打开蒙版前的元素
+        if (this._returnFocusEl && document.contains(this._returnFocusEl)) {
+            this._returnFocusEl.focus();
+        }
+        this._returnFocusEl = null;
+        
         // 延迟隐藏组件
         setTimeout(() => {
             this.realpic?.hide();
@@ -297,7 +777,10 @@ export class RealPicViewer {
      */
     destroy() {
         this.modal?.removeEventListener('click', this._boundClickHandler);
+        this.modal?.removeEventListener('touchstart', this._boundTouchStartHandler);
+        this.modal?.removeEventListener('touchend', this._boundTouchEndHandler);
         document.removeEventListener('keydown', this._boundKeyHandler);
+        window.removeEventListener('popstate', this._boundPopStateHandler);
         this.realpic?.destroy();
         this.realpic = null;
     }